@@ -1,40 +1,167 @@
-import { COUNTRY_CURRENCY_MAP } from "./src/constants/country_currency_map.js";
-import MastersPortalCountryCrawler from "./src/crawlers/MastersPortalCountryCrawler.js";
-import BachelorsPortalCountryCrawler from "./src/crawlers/BachelorsPortalCountryCrawler.js";
+import { loadCountryConfig } from "./src/utils/countryConfig.js";
+import PortalCountryCrawler from "./src/crawlers/PortalCountryCrawler.js";
+import { PORTAL_REGISTRY } from "./src/constants/portal_registry.js";
+import { reportCrawlChanges } from "./src/utils/crawlDiff.js";
+import { recordRankings } from "./src/utils/rankingHistory.js";
+import {
+  onShutdown,
+  getShutdownSignal,
+  getShutdownExitCode,
+} from "./src/utils/shutdown.js";
+
+// Optional: convert tuition fees into one currency, e.g. REPORTING_CURRENCY=EUR
+const REPORTING_CURRENCY = process.env.REPORTING_CURRENCY || null;
+
+// Portals to crawl, e.g. PORTALS=masters,bachelors,phd (see src/constants/portal_registry.js)
+const PORTAL_TYPES = (process.env.PORTALS || "masters,bachelors")
+  .split(",")
+  .map((type) => type.trim())
+  .filter(Boolean);
+
+// Countries to crawl by key or URL-safe label, e.g. COUNTRIES=Germany,united-kingdom
+// (default: every country from loadCountryConfig())
+const COUNTRY_FILTER = (process.env.COUNTRIES || "")
+  .split(",")
+  .map((country) => country.trim().toLowerCase())
+  .filter(Boolean);
+
+// Search filters as JSON, e.g. SEARCH_FILTERS='{"discipline":"computer-science","studyMode":"online"}'
+// (see src/constants/search_filters.js)
+const SEARCH_FILTERS = process.env.SEARCH_FILTERS
+  ? JSON.parse(process.env.SEARCH_FILTERS)
+  : null;
+
+// Only crawl search pages and save their listings, e.g. INDEX_ONLY=1
+const INDEX_ONLY = ["1", "true"].includes(process.env.INDEX_ONLY);
+
+// Read a positive number from the environment (unset = no limit)
+const readBudget = (name) => {
+  const value = Number(process.env[name]);
+  return value > 0 ? value : Infinity;
+};
+
+// Budgets for the whole run, e.g. MAX_MINUTES=45 MAX_RECORDS=500
+const RUN_BUDGET = {
+  minutes: readBudget("MAX_MINUTES"),
+  records: readBudget("MAX_RECORDS"),
+};
+
+// Budgets per country, shared by its portals, e.g. COUNTRY_MAX_SEARCH_PAGES=30
+const COUNTRY_BUDGET = {
+  minutes: readBudget("COUNTRY_MAX_MINUTES"),
+  records: readBudget("COUNTRY_MAX_RECORDS"),
+  pages: readBudget("COUNTRY_MAX_PAGES"),
+  searchPages: readBudget("COUNTRY_MAX_SEARCH_PAGES"),
+};
+
+/**
+ * Name of the used-up budget, if any
+ * @param {Object} budget - { minutes, records, pages, searchPages } limits
+ * @param {Object} used - { startedAt, records, pages, searchPages } so far
+ * @param {string} prefix - Environment variable prefix for the name
+ * @returns {string|null} - e.g. 'COUNTRY_MAX_MINUTES'
+ */
+function getExhaustedBudget(budget, used, prefix) {
+  if (Date.now() - used.startedAt >= budget.minutes * 60000) return `${prefix}MAX_MINUTES`;
+  if (used.records >= budget.records) return `${prefix}MAX_RECORDS`;
+  if (used.pages >= budget.pages) return `${prefix}MAX_PAGES`;
+  if (used.searchPages >= budget.searchPages) return `${prefix}MAX_SEARCH_PAGES`;
+  return null;
+}
 
 /**
- * Main orchestrator to crawl all countries for both Masters and Bachelors programs
+ * What is left of a budget, as crawler options. The crawler gets the
+ * smaller of the run's and the country's remainder.
+ * @param {Array<Array<Object>>} budgets - [budget, used] pairs
+ * @returns {Object} - { maxDuration, maxRecords, maxPages, maxSearchPages }
+ */
+function getRemainingBudget(budgets) {
+  const remaining = (key) =>
+    Math.min(...budgets.map(([budget, used]) => (budget[key] ?? Infinity) - (used[key] || 0)));
+
+  return {
+    maxDuration: Math.min(
+      ...budgets.map(([budget, used]) => budget.minutes * 60000 - (Date.now() - used.startedAt))
+    ),
+    maxRecords: remaining("records"),
+    maxPages: remaining("pages"),
+    maxSearchPages: remaining("searchPages"),
+  };
+}
+
+/**
+ * Main orchestrator to crawl all countries on each configured portal
  */
 async function crawlAllCountries() {
+  const unknownPortals = PORTAL_TYPES.filter((type) => !PORTAL_REGISTRY[type]);
+  if (unknownPortals.length > 0) {
+    throw new Error(
+      `Unknown portal(s): ${unknownPortals.join(", ")}. Available: ${Object.keys(
+        PORTAL_REGISTRY
+      ).join(", ")}`
+    );
+  }
+
   console.log("========================================");
   console.log("Multi-Country Educational Portal Crawler");
   console.log("========================================\n");
 
-  const countries = Object.entries(COUNTRY_CURRENCY_MAP);
+  const countries = Object.entries(loadCountryConfig()).filter(
+    ([name, config]) =>
+      COUNTRY_FILTER.length === 0 ||
+      COUNTRY_FILTER.includes(name.toLowerCase()) ||
+      COUNTRY_FILTER.includes(config.url_safe_label)
+  );
   const totalCountries = countries.length;
 
   console.log(`Found ${totalCountries} countries to crawl:`);
   countries.forEach(([name, config]) => {
     console.log(`  - ${name}: ${config.url_safe_label} (${config.currency_code})`);
   });
+  console.log(`Portals: ${PORTAL_TYPES.join(", ")}`);
+  if (INDEX_ONLY) console.log("Mode: index only (search pages and listings)");
+  if (SEARCH_FILTERS) console.log(`Filters: ${JSON.stringify(SEARCH_FILTERS)}`);
+  const formatBudget = (budget) =>
+    Object.entries(budget)
+      .filter(([, value]) => Number.isFinite(value))
+      .map(([key, value]) => `${value} ${key}`)
+      .join(", ");
+  if (formatBudget(RUN_BUDGET)) console.log(`Run budget: ${formatBudget(RUN_BUDGET)}`);
+  if (formatBudget(COUNTRY_BUDGET)) console.log(`Country budget: ${formatBudget(COUNTRY_BUDGET)}`);
   console.log("\n");
 
   const results = {
-    masters: {},
-    bachelors: {},
+    ...Object.fromEntries(PORTAL_TYPES.map((type) => [type, {}])),
     summary: {
       totalCountries: totalCountries,
       completedCountries: 0,
       totalPrograms: 0,
       errors: [],
+      stopReason: "completed",
+      skippedCountries: [],
     },
   };
+  const runUsed = { startedAt: Date.now(), records: 0 };
+
+  // Ctrl-C / SIGTERM: the running crawl stops and saves its outputs, then
+  // the summary is printed and the process exits with 128 + signal number
+  onShutdown((signal) => {
+    results.summary.stopReason = signal;
+  });
 
   // Iterate through each country
   for (let i = 0; i < countries.length; i++) {
     const [countryName, countryConfig] = countries[i];
     const { url_safe_label: countryLabel, currency_code: currencyCode } = countryConfig;
 
+    const runStop = getShutdownSignal() || getExhaustedBudget(RUN_BUDGET, runUsed, "");
+    if (runStop) {
+      results.summary.stopReason = runStop;
+      results.summary.skippedCountries = countries.slice(i).map(([name]) => name);
+      console.log(`\n🛑 Run stopped (${runStop}), skipping ${countries.length - i} remaining countries`);
+      break;
+    }
+
     console.log("\n" + "=".repeat(80));
     console.log(
       `COUNTRY ${i + 1}/${totalCountries}: ${countryName.toUpperCase()} (${countryLabel})`
@@ -42,69 +169,85 @@ async function crawlAllCountries() {
     console.log("=".repeat(80) + "\n");
 
     try {
-      // ============================================
-      // CRAWL MASTERS PORTAL FOR THIS COUNTRY
-      // ============================================
-      console.log(`\n[${"MASTERS".padEnd(8)}] Starting crawl for ${countryName}...`);
-      console.log(`URL: https://www.mastersportal.com/search/master/${countryLabel}\n`);
-
-      const mastersCrawler = new MastersPortalCountryCrawler({
-        countryLabel: countryLabel,
-        maxCrawlLength: 100, // Adjust as needed
-        requestDelay: 3000, // 3 seconds between requests
-        headless: true, // Set to false to see browser
-      });
+      let countryPrograms = 0;
+      const countryUsed = { startedAt: Date.now(), records: 0, pages: 0, searchPages: 0 };
 
-      const mastersResults = await mastersCrawler.crawl();
-      results.masters[countryLabel] = {
-        country: countryName,
-        programsFound: mastersResults.extractedData.length,
-        pagesVisited: mastersResults.crawledCount,
-      };
+      for (const portalType of PORTAL_TYPES) {
+        // ============================================
+        // CRAWL THIS PORTAL FOR THIS COUNTRY
+        // ============================================
+        const portalName = portalType.toUpperCase();
 
-      console.log(`\n✓ Masters crawl completed for ${countryName}`);
-      console.log(`  Programs found: ${mastersResults.extractedData.length}`);
-      console.log(`  CSV: output/masters-courses_${countryLabel}.csv`);
+        const budgetStop =
+          getShutdownSignal() ||
+          getExhaustedBudget(RUN_BUDGET, runUsed, "") ||
+          getExhaustedBudget(COUNTRY_BUDGET, countryUsed, "COUNTRY_");
+        if (budgetStop) {
+          console.log(`\n[${portalName.padEnd(8)}] Skipped (${budgetStop})`);
+          results[portalType][countryLabel] = { country: countryName, skipped: budgetStop };
+          continue;
+        }
 
-      // ============================================
-      // CRAWL BACHELORS PORTAL FOR THIS COUNTRY
-      // ============================================
-      console.log(
-        `\n[${"BACHELORS".padEnd(8)}] Starting crawl for ${countryName}...`
-      );
-      console.log(
-        `URL: https://www.bachelorsportal.com/search/bachelor/${countryLabel}\n`
-      );
+        console.log(`\n[${portalName.padEnd(8)}] Starting crawl for ${countryName}...`);
 
-      const bachelorsCrawler = new BachelorsPortalCountryCrawler({
-        countryLabel: countryLabel,
-        maxCrawlLength: 100, // Adjust as needed
-        requestDelay: 3000, // 3 seconds between requests
-        headless: true, // Set to false to see browser
-      });
+        const budget = getRemainingBudget([
+          [RUN_BUDGET, runUsed],
+          [COUNTRY_BUDGET, countryUsed],
+        ]);
+        const crawler = new PortalCountryCrawler({
+          portalType: portalType,
+          countryLabel: countryLabel,
+          maxCrawlLength: Math.min(100, budget.maxPages), // Adjust as needed
+          maxDuration: budget.maxDuration,
+          maxRecords: budget.maxRecords,
+          maxSearchPages: budget.maxSearchPages,
+          requestDelay: 3000, // 3 seconds between requests
+          concurrency: 3, // Pages crawled in parallel
+          headless: true, // Set to false to see browser
+          reportingCurrency: REPORTING_CURRENCY,
+          indexOnly: INDEX_ONLY,
+          filters: SEARCH_FILTERS,
+        });
+        console.log(`URL: ${crawler.targetUrl}\n`);
 
-      const bachelorsResults = await bachelorsCrawler.crawl();
-      results.bachelors[countryLabel] = {
-        country: countryName,
-        programsFound: bachelorsResults.extractedData.length,
-        pagesVisited: bachelorsResults.crawledCount,
-      };
+        const crawlResults = await crawler.crawl();
 
-      console.log(`\n✓ Bachelors crawl completed for ${countryName}`);
-      console.log(`  Programs found: ${bachelorsResults.extractedData.length}`);
-      console.log(`  CSV: output/bachelors-courses_${countryLabel}.csv`);
+        console.log(`\n✓ ${portalType} crawl completed for ${countryName}`);
+        console.log(`  Programs found: ${crawlResults.extractedData.length}`);
+        console.log(`  Listings found: ${crawlResults.listings.length}`);
+        console.log(`  Stopped by: ${crawlResults.stopReason}`);
+        console.log(`  CSV: output/${portalType}-courses_${countryLabel}.csv`);
+        console.log(`  Listings CSV: output/${portalType}-listings_${countryLabel}.csv`);
+
+        // An index-only crawl extracts no programmes, so there is nothing to diff
+        const changes = INDEX_ONLY
+          ? null
+          : reportCrawlChanges(crawlResults, portalType, countryLabel);
+        recordRankings(crawlResults, portalType, countryLabel);
+        results[portalType][countryLabel] = {
+          country: countryName,
+          programsFound: crawlResults.extractedData.length,
+          listingsFound: crawlResults.listings.length,
+          listingsWithoutStudy: crawlResults.listingsWithoutStudy.length,
+          pagesVisited: crawlResults.crawledCount,
+          changes: changes?.summary || null,
+          blockEvents: crawlResults.blockEvents.length,
+          stopReason: crawlResults.stopReason,
+        };
+
+        countryPrograms += crawlResults.extractedData.length;
+        countryUsed.records += crawlResults.extractedData.length;
+        countryUsed.pages += crawlResults.crawledCount;
+        countryUsed.searchPages += crawlResults.searchPagesCrawled;
+        runUsed.records += crawlResults.extractedData.length;
+      }
 
       // Update summary
-      results.summary.completedCountries++;
-      results.summary.totalPrograms +=
-        mastersResults.extractedData.length + bachelorsResults.extractedData.length;
+      if (!getShutdownSignal()) results.summary.completedCountries++;
+      results.summary.totalPrograms += countryPrograms;
 
       console.log(`\n✓ ${countryName} completed successfully!`);
-      console.log(
-        `  Total programs: ${
-          mastersResults.extractedData.length + bachelorsResults.extractedData.length
-        }`
-      );
+      console.log(`  Total programs: ${countryPrograms}`);
     } catch (error) {
       console.error(`\n✗ Error crawling ${countryName}:`, error.message);
       results.summary.errors.push({
@@ -114,7 +257,11 @@ async function crawlAllCountries() {
     }
 
     // Add a delay between countries to be respectful
-    if (i < countries.length - 1) {
+    if (
+      i < countries.length - 1 &&
+      !getShutdownSignal() &&
+      !getExhaustedBudget(RUN_BUDGET, runUsed, "")
+    ) {
       console.log("\n⏳ Waiting 5 seconds before next country...\n");
       await new Promise((resolve) => setTimeout(resolve, 5000));
     }
@@ -128,15 +275,33 @@ async function crawlAllCountries() {
   console.log("=".repeat(80));
   console.log(`\nTotal countries processed: ${results.summary.completedCountries}/${totalCountries}`);
   console.log(`Total programs extracted: ${results.summary.totalPrograms}`);
+  console.log(`Stopped by: ${results.summary.stopReason}`);
+  if (results.summary.skippedCountries.length > 0) {
+    console.log(`Countries not crawled: ${results.summary.skippedCountries.join(", ")}`);
+  }
 
-  console.log("\n--- Masters Programs by Country ---");
-  Object.entries(results.masters).forEach(([label, data]) => {
-    console.log(`  ${data.country.padEnd(15)}: ${data.programsFound} programs`);
-  });
+  const formatChanges = (changes) =>
+    changes
+      ? `(+${changes.added} new, -${changes.removed} removed, ~${changes.changed} changed)`
+      : "";
 
-  console.log("\n--- Bachelors Programs by Country ---");
-  Object.entries(results.bachelors).forEach(([label, data]) => {
-    console.log(`  ${data.country.padEnd(15)}: ${data.programsFound} programs`);
+  PORTAL_TYPES.forEach((portalType) => {
+    console.log(`\n--- ${portalType} programs by Country ---`);
+    Object.entries(results[portalType]).forEach(([label, data]) => {
+      if (data.skipped) {
+        console.log(`  ${data.country.padEnd(15)}: skipped (${data.skipped})`);
+        return;
+      }
+      const stopped =
+        data.stopReason && data.stopReason !== "completed" ? `, stopped by ${data.stopReason}` : "";
+      const blocks = data.blockEvents ? `, ${data.blockEvents} block events` : "";
+      const missing = data.listingsWithoutStudy
+        ? `, ${data.listingsWithoutStudy} listings without study record`
+        : "";
+      console.log(
+        `  ${data.country.padEnd(15)}: ${data.programsFound} programs, ${data.listingsFound} listings ${formatChanges(data.changes)}${blocks}${missing}${stopped}`
+      );
+    });
   });
 
   if (results.summary.errors.length > 0) {
@@ -149,9 +314,13 @@ async function crawlAllCountries() {
   console.log("\n--- Output Files ---");
   console.log("All CSV files are saved in the 'output/' directory:");
   countries.forEach(([name, config]) => {
-    console.log(`  - output/masters-courses_${config.url_safe_label}.csv`);
-    console.log(`  - output/bachelors-courses_${config.url_safe_label}.csv`);
+    PORTAL_TYPES.forEach((portalType) => {
+      console.log(`  - output/${portalType}-courses_${config.url_safe_label}.csv`);
+      console.log(`  - output/${portalType}-listings_${config.url_safe_label}.csv`);
+    });
   });
+  console.log("Change reports are saved in 'output/changes/'");
+  console.log("Search rankings are saved in 'output/rankings/' (npm run report:rankings)");
 
   console.log("\n" + "=".repeat(80));
   console.log("Crawling completed!");
@@ -163,6 +332,11 @@ async function crawlAllCountries() {
 // Run the crawler
 crawlAllCountries()
   .then(() => {
+    const signal = getShutdownSignal();
+    if (signal) {
+      console.log(`Stopped by ${signal}, outputs and checkpoints are saved`);
+      process.exit(getShutdownExitCode(signal));
+    }
     console.log("All done!");
     process.exit(0);
   })
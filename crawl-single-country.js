@@ -1,6 +1,17 @@
-import { COUNTRY_CURRENCY_MAP } from "./src/constants/country_currency_map.js";
+import { loadCountryConfig } from "./src/utils/countryConfig.js";
 import MastersPortalCountryCrawler from "./src/crawlers/MastersPortalCountryCrawler.js";
 import BachelorsPortalCountryCrawler from "./src/crawlers/BachelorsPortalCountryCrawler.js";
+import { reportCrawlChanges } from "./src/utils/crawlDiff.js";
+import { recordRankings } from "./src/utils/rankingHistory.js";
+import { getShutdownSignal, getShutdownExitCode } from "./src/utils/shutdown.js";
+
+// Optional: convert tuition fees into one currency, e.g. REPORTING_CURRENCY=EUR
+const REPORTING_CURRENCY = process.env.REPORTING_CURRENCY || null;
+
+// Search filters as JSON, e.g. SEARCH_FILTERS='{"studyMode":"online"}' (see src/constants/search_filters.js)
+const SEARCH_FILTERS = process.env.SEARCH_FILTERS
+  ? JSON.parse(process.env.SEARCH_FILTERS)
+  : null;
 
 /**
  * Crawl a single country for testing
@@ -11,17 +22,19 @@ async function crawlSingleCountry() {
   // Get country from command line argument, default to UK
   const countryKey = process.argv[2] || "UK";
 
-  if (!COUNTRY_CURRENCY_MAP[countryKey]) {
-    console.error(`\n❌ Country "${countryKey}" not found in COUNTRY_CURRENCY_MAP`);
+  const countryMap = loadCountryConfig();
+
+  if (!countryMap[countryKey]) {
+    console.error(`\n❌ Country "${countryKey}" not found in the country config`);
     console.log("\nAvailable countries:");
-    Object.keys(COUNTRY_CURRENCY_MAP).forEach((key) => {
-      const config = COUNTRY_CURRENCY_MAP[key];
+    Object.keys(countryMap).forEach((key) => {
+      const config = countryMap[key];
       console.log(`  - ${key}: ${config.url_safe_label}`);
     });
     process.exit(1);
   }
 
-  const countryConfig = COUNTRY_CURRENCY_MAP[countryKey];
+  const countryConfig = countryMap[countryKey];
   const { url_safe_label: countryLabel, currency_code: currencyCode } = countryConfig;
 
   console.log("========================================");
@@ -37,41 +50,57 @@ async function crawlSingleCountry() {
     // CRAWL MASTERS PORTAL
     // ============================================
     console.log(`\n[MASTERS] Starting crawl for ${countryKey}...`);
-    console.log(`URL: https://www.mastersportal.com/search/master/${countryLabel}\n`);
 
     const mastersCrawler = new MastersPortalCountryCrawler({
       countryLabel: countryLabel,
       maxCrawlLength: 20, // Limited for testing
       requestDelay: 2000,
       headless: false, // Show browser for testing
+      reportingCurrency: REPORTING_CURRENCY,
+      filters: SEARCH_FILTERS,
     });
+    console.log(`URL: ${mastersCrawler.targetUrl}\n`);
 
     const mastersResults = await mastersCrawler.crawl();
 
     console.log(`\n✓ Masters crawl completed!`);
     console.log(`  Programs found: ${mastersResults.extractedData.length}`);
     console.log(`  CSV: output/masters-courses_${countryLabel}.csv`);
+    console.log(`  Listings found: ${mastersResults.listings.length}`);
+    console.log(`  Stopped by: ${mastersResults.stopReason}`);
+    reportCrawlChanges(mastersResults, "masters", countryLabel);
+    recordRankings(mastersResults, "masters", countryLabel);
 
     // ============================================
     // CRAWL BACHELORS PORTAL
     // ============================================
-    console.log(`\n[BACHELORS] Starting crawl for ${countryKey}...`);
-    console.log(
-      `URL: https://www.bachelorsportal.com/search/bachelor/${countryLabel}\n`
-    );
+    // Ctrl-C during the masters crawl ends the run there
+    let bachelorsResults = null;
+    if (getShutdownSignal()) {
+      console.log(`\n[BACHELORS] Skipped (${getShutdownSignal()})`);
+    } else {
+      console.log(`\n[BACHELORS] Starting crawl for ${countryKey}...`);
 
-    const bachelorsCrawler = new BachelorsPortalCountryCrawler({
-      countryLabel: countryLabel,
-      maxCrawlLength: 20, // Limited for testing
-      requestDelay: 2000,
-      headless: false, // Show browser for testing
-    });
+      const bachelorsCrawler = new BachelorsPortalCountryCrawler({
+        countryLabel: countryLabel,
+        maxCrawlLength: 20, // Limited for testing
+        requestDelay: 2000,
+        headless: false, // Show browser for testing
+        reportingCurrency: REPORTING_CURRENCY,
+        filters: SEARCH_FILTERS,
+      });
+      console.log(`URL: ${bachelorsCrawler.targetUrl}\n`);
 
-    const bachelorsResults = await bachelorsCrawler.crawl();
+      bachelorsResults = await bachelorsCrawler.crawl();
 
-    console.log(`\n✓ Bachelors crawl completed!`);
-    console.log(`  Programs found: ${bachelorsResults.extractedData.length}`);
-    console.log(`  CSV: output/bachelors-courses_${countryLabel}.csv`);
+      console.log(`\n✓ Bachelors crawl completed!`);
+      console.log(`  Programs found: ${bachelorsResults.extractedData.length}`);
+      console.log(`  CSV: output/bachelors-courses_${countryLabel}.csv`);
+      console.log(`  Listings found: ${bachelorsResults.listings.length}`);
+      console.log(`  Stopped by: ${bachelorsResults.stopReason}`);
+      reportCrawlChanges(bachelorsResults, "bachelors", countryLabel);
+      recordRankings(bachelorsResults, "bachelors", countryLabel);
+    }
 
     // ============================================
     // SUMMARY
@@ -81,15 +110,18 @@ async function crawlSingleCountry() {
     console.log("=".repeat(60));
     console.log(`Country: ${countryKey} (${countryLabel})`);
     console.log(`Masters programs: ${mastersResults.extractedData.length}`);
-    console.log(`Bachelors programs: ${bachelorsResults.extractedData.length}`);
+    const bachelorsPrograms = bachelorsResults?.extractedData.length ?? 0;
+    console.log(
+      `Bachelors programs: ${bachelorsResults ? bachelorsPrograms : "not crawled"}`
+    );
     console.log(
-      `Total programs: ${
-        mastersResults.extractedData.length + bachelorsResults.extractedData.length
-      }`
+      `Total programs: ${mastersResults.extractedData.length + bachelorsPrograms}`
     );
     console.log("\nOutput files:");
     console.log(`  - output/masters-courses_${countryLabel}.csv`);
     console.log(`  - output/bachelors-courses_${countryLabel}.csv`);
+    console.log(`  - output/masters-listings_${countryLabel}.csv`);
+    console.log(`  - output/bachelors-listings_${countryLabel}.csv`);
     console.log("=".repeat(60) + "\n");
   } catch (error) {
     console.error("\n❌ Error:", error.message);
@@ -99,8 +131,14 @@ async function crawlSingleCountry() {
 }
 
 // Run the crawler
+// A crawl stopped by Ctrl-C / SIGTERM saves its outputs before we get here
 crawlSingleCountry()
   .then(() => {
+    const signal = getShutdownSignal();
+    if (signal) {
+      console.log(`Stopped by ${signal}, outputs and checkpoints are saved`);
+      process.exit(getShutdownExitCode(signal));
+    }
     console.log("Done!");
     process.exit(0);
   })
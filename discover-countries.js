@@ -0,0 +1,63 @@
+import path from "path";
+import CountryDiscoveryCrawler from "./src/crawlers/CountryDiscoveryCrawler.js";
+import {
+  buildCountryConfig,
+  writeGeneratedCountries,
+} from "./src/utils/countryDiscovery.js";
+
+/**
+ * Discover the countries a portal lists and write the generated country
+ * config used by crawl-all-countries.js
+ * Usage: node discover-countries.js [portalType]
+ * Example: node discover-countries.js masters
+ */
+async function discoverCountries() {
+  const portalType = process.argv[2] || "masters";
+
+  console.log("========================================");
+  console.log("Country Discovery");
+  console.log("========================================");
+  console.log(`Portal: ${portalType}\n`);
+
+  const crawler = new CountryDiscoveryCrawler({
+    portalType,
+    requestDelay: 2000,
+    headless: true,
+  });
+  const results = await crawler.crawl();
+
+  if (results.extractedData.length === 0) {
+    console.error("\n❌ No countries found; the generated config was not changed");
+    process.exit(1);
+  }
+
+  // Both pages may list the same country
+  const discovered = Array.from(
+    new Map(
+      results.extractedData.map((country) => [country.url_safe_label, country])
+    ).values()
+  );
+  const config = buildCountryConfig(discovered);
+  const file = writeGeneratedCountries(config, { portal: portalType });
+
+  console.log(`\n✓ Countries found: ${Object.keys(config.countries).length}`);
+  if (config.unmatched.length > 0) {
+    console.log(
+      `  Without a currency (not crawled): ${config.unmatched
+        .map((country) => country.name || country.url_safe_label)
+        .join(", ")}`
+    );
+    console.log("  Add them to src/constants/country_overrides.js to include them");
+  }
+  console.log(`  Config: ${path.relative(process.cwd(), file)}`);
+}
+
+discoverCountries()
+  .then(() => {
+    console.log("Done!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Fatal error:", error);
+    process.exit(1);
+  });
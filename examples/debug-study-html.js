@@ -1,5 +1,6 @@
 import { chromium } from 'playwright';
 import fs from 'fs/promises';
+import { detectBlockPage } from '../src/utils/detectBlockPage.js';
 
 /**
  * Debug - save HTML from study page to see what we're getting
@@ -23,7 +24,7 @@ async function debugStudyHTML() {
         const url = 'https://www.mastersportal.com/studies/254523/medical-bioscience.html';
 
         console.log('1. Navigating to study page...');
-        await page.goto(url, {
+        const response = await page.goto(url, {
             waitUntil: 'domcontentloaded',
             timeout: 30000
         });
@@ -52,7 +53,13 @@ async function debugStudyHTML() {
         console.log(`   .StudyTitle: ${html.includes('StudyTitle')}`);
         console.log(`   .OrganisationName: ${html.includes('OrganisationName')}`);
         console.log(`   Medical Bioscience: ${html.includes('Medical Bioscience')}`);
-        console.log(`   blocked: ${html.includes('blocked') || html.includes('Sorry')}`);
+
+        const block = detectBlockPage({
+            html,
+            title: await page.title(),
+            status: response?.status()
+        });
+        console.log(`   blocked: ${block ? `${block.kind} - ${block.reason}` : false}`);
 
     } catch (error) {
         console.error('Error:', error.message);
@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+import {
+  readRankings,
+  buildRankingHistory,
+  formatRankingReport,
+} from "./src/utils/rankingHistory.js";
+
+/**
+ * Ranking history report from the positions recorded by each crawl
+ * Usage: node rankings-report.js [--by university|programme] [--portal masters]
+ *        [--country germany] [--match "text"]
+ * Example: node rankings-report.js --by programme --country germany --match "TU Munich"
+ */
+function parseArgs(argv) {
+  const args = { by: "university" };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (["by", "portal", "country", "match"].includes(name)) {
+      args[name] = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+function rankingsReport() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!["university", "programme"].includes(args.by)) {
+    console.error(`\n❌ --by must be "university" or "programme", got "${args.by}"`);
+    process.exit(1);
+  }
+
+  const entries = readRankings({
+    portalType: args.portal,
+    countryLabel: args.country,
+  });
+
+  if (entries.length === 0) {
+    console.log("No rankings recorded yet. Run a country crawl first.");
+    return;
+  }
+
+  const match = args.match?.toLowerCase();
+  const history = buildRankingHistory(entries, args.by).filter(
+    (group) => !match || group.label.toLowerCase().includes(match)
+  );
+
+  const report = formatRankingReport(history, `Search ranking history by ${args.by}`);
+  console.log(report);
+
+  const reportFile = path.resolve(
+    "output",
+    "rankings",
+    `report-${args.by}_${new Date().toISOString().replace(/[:.]/g, "-")}.txt`
+  );
+  fs.writeFileSync(reportFile, report);
+  console.log(`Report saved to ${path.relative(process.cwd(), reportFile)}`);
+}
+
+rankingsReport();
@@ -0,0 +1,8 @@
+/**
+ * Manual corrections applied on top of the generated country config
+ * (generated_countries.json, written by discover-countries.js) and
+ * COUNTRY_CURRENCY_MAP, keyed by country key. An entry is merged over the
+ * country's settings; null leaves the country out of crawls.
+ * e.g. { "Hong Kong": { currency_code: "USD" }, "North Korea": null }
+ */
+export const COUNTRY_OVERRIDES = {};
@@ -0,0 +1,230 @@
+/**
+ * ISO 3166-1 alpha-2 code and ISO 4217 currency per country, keyed by the
+ * English country name as the portals show it. Used to assign currencies to
+ * discovered countries (see discover-countries.js).
+ */
+export const ISO_COUNTRY_CURRENCY = {
+  Afghanistan: { iso_code: "AF", currency_code: "AFN" },
+  Albania: { iso_code: "AL", currency_code: "ALL" },
+  Algeria: { iso_code: "DZ", currency_code: "DZD" },
+  Andorra: { iso_code: "AD", currency_code: "EUR" },
+  Angola: { iso_code: "AO", currency_code: "AOA" },
+  "Antigua and Barbuda": { iso_code: "AG", currency_code: "XCD" },
+  Argentina: { iso_code: "AR", currency_code: "ARS" },
+  Armenia: { iso_code: "AM", currency_code: "AMD" },
+  Aruba: { iso_code: "AW", currency_code: "AWG" },
+  Australia: { iso_code: "AU", currency_code: "AUD" },
+  Austria: { iso_code: "AT", currency_code: "EUR" },
+  Azerbaijan: { iso_code: "AZ", currency_code: "AZN" },
+  Bahamas: { iso_code: "BS", currency_code: "BSD" },
+  Bahrain: { iso_code: "BH", currency_code: "BHD" },
+  Bangladesh: { iso_code: "BD", currency_code: "BDT" },
+  Barbados: { iso_code: "BB", currency_code: "BBD" },
+  Belarus: { iso_code: "BY", currency_code: "BYN" },
+  Belgium: { iso_code: "BE", currency_code: "EUR" },
+  Belize: { iso_code: "BZ", currency_code: "BZD" },
+  Benin: { iso_code: "BJ", currency_code: "XOF" },
+  Bermuda: { iso_code: "BM", currency_code: "BMD" },
+  Bhutan: { iso_code: "BT", currency_code: "BTN" },
+  Bolivia: { iso_code: "BO", currency_code: "BOB" },
+  "Bosnia and Herzegovina": { iso_code: "BA", currency_code: "BAM" },
+  Botswana: { iso_code: "BW", currency_code: "BWP" },
+  Brazil: { iso_code: "BR", currency_code: "BRL" },
+  Brunei: { iso_code: "BN", currency_code: "BND" },
+  Bulgaria: { iso_code: "BG", currency_code: "BGN" },
+  "Burkina Faso": { iso_code: "BF", currency_code: "XOF" },
+  Burundi: { iso_code: "BI", currency_code: "BIF" },
+  Cambodia: { iso_code: "KH", currency_code: "KHR" },
+  Cameroon: { iso_code: "CM", currency_code: "XAF" },
+  Canada: { iso_code: "CA", currency_code: "CAD" },
+  "Cape Verde": { iso_code: "CV", currency_code: "CVE" },
+  "Cayman Islands": { iso_code: "KY", currency_code: "KYD" },
+  "Central African Republic": { iso_code: "CF", currency_code: "XAF" },
+  Chad: { iso_code: "TD", currency_code: "XAF" },
+  Chile: { iso_code: "CL", currency_code: "CLP" },
+  China: { iso_code: "CN", currency_code: "CNY" },
+  Colombia: { iso_code: "CO", currency_code: "COP" },
+  Comoros: { iso_code: "KM", currency_code: "KMF" },
+  Congo: { iso_code: "CG", currency_code: "XAF" },
+  "Costa Rica": { iso_code: "CR", currency_code: "CRC" },
+  Croatia: { iso_code: "HR", currency_code: "EUR" },
+  Cuba: { iso_code: "CU", currency_code: "CUP" },
+  Curacao: { iso_code: "CW", currency_code: "ANG" },
+  Cyprus: { iso_code: "CY", currency_code: "EUR" },
+  "Czech Republic": { iso_code: "CZ", currency_code: "CZK" },
+  "Democratic Republic of the Congo": { iso_code: "CD", currency_code: "CDF" },
+  Denmark: { iso_code: "DK", currency_code: "DKK" },
+  Djibouti: { iso_code: "DJ", currency_code: "DJF" },
+  Dominica: { iso_code: "DM", currency_code: "XCD" },
+  "Dominican Republic": { iso_code: "DO", currency_code: "DOP" },
+  Ecuador: { iso_code: "EC", currency_code: "USD" },
+  Egypt: { iso_code: "EG", currency_code: "EGP" },
+  "El Salvador": { iso_code: "SV", currency_code: "USD" },
+  "Equatorial Guinea": { iso_code: "GQ", currency_code: "XAF" },
+  Eritrea: { iso_code: "ER", currency_code: "ERN" },
+  Estonia: { iso_code: "EE", currency_code: "EUR" },
+  Eswatini: { iso_code: "SZ", currency_code: "SZL" },
+  Ethiopia: { iso_code: "ET", currency_code: "ETB" },
+  Fiji: { iso_code: "FJ", currency_code: "FJD" },
+  Finland: { iso_code: "FI", currency_code: "EUR" },
+  France: { iso_code: "FR", currency_code: "EUR" },
+  Gabon: { iso_code: "GA", currency_code: "XAF" },
+  Gambia: { iso_code: "GM", currency_code: "GMD" },
+  Georgia: { iso_code: "GE", currency_code: "GEL" },
+  Germany: { iso_code: "DE", currency_code: "EUR" },
+  Ghana: { iso_code: "GH", currency_code: "GHS" },
+  Greece: { iso_code: "GR", currency_code: "EUR" },
+  Grenada: { iso_code: "GD", currency_code: "XCD" },
+  Guatemala: { iso_code: "GT", currency_code: "GTQ" },
+  Guinea: { iso_code: "GN", currency_code: "GNF" },
+  "Guinea-Bissau": { iso_code: "GW", currency_code: "XOF" },
+  Guyana: { iso_code: "GY", currency_code: "GYD" },
+  Haiti: { iso_code: "HT", currency_code: "HTG" },
+  Honduras: { iso_code: "HN", currency_code: "HNL" },
+  "Hong Kong": { iso_code: "HK", currency_code: "HKD" },
+  Hungary: { iso_code: "HU", currency_code: "HUF" },
+  Iceland: { iso_code: "IS", currency_code: "ISK" },
+  India: { iso_code: "IN", currency_code: "INR" },
+  Indonesia: { iso_code: "ID", currency_code: "IDR" },
+  Iran: { iso_code: "IR", currency_code: "IRR" },
+  Iraq: { iso_code: "IQ", currency_code: "IQD" },
+  Ireland: { iso_code: "IE", currency_code: "EUR" },
+  Israel: { iso_code: "IL", currency_code: "ILS" },
+  Italy: { iso_code: "IT", currency_code: "EUR" },
+  "Ivory Coast": { iso_code: "CI", currency_code: "XOF" },
+  Jamaica: { iso_code: "JM", currency_code: "JMD" },
+  Japan: { iso_code: "JP", currency_code: "JPY" },
+  Jordan: { iso_code: "JO", currency_code: "JOD" },
+  Kazakhstan: { iso_code: "KZ", currency_code: "KZT" },
+  Kenya: { iso_code: "KE", currency_code: "KES" },
+  Kosovo: { iso_code: "XK", currency_code: "EUR" },
+  Kuwait: { iso_code: "KW", currency_code: "KWD" },
+  Kyrgyzstan: { iso_code: "KG", currency_code: "KGS" },
+  Laos: { iso_code: "LA", currency_code: "LAK" },
+  Latvia: { iso_code: "LV", currency_code: "EUR" },
+  Lebanon: { iso_code: "LB", currency_code: "LBP" },
+  Lesotho: { iso_code: "LS", currency_code: "LSL" },
+  Liberia: { iso_code: "LR", currency_code: "LRD" },
+  Libya: { iso_code: "LY", currency_code: "LYD" },
+  Liechtenstein: { iso_code: "LI", currency_code: "CHF" },
+  Lithuania: { iso_code: "LT", currency_code: "EUR" },
+  Luxembourg: { iso_code: "LU", currency_code: "EUR" },
+  Macao: { iso_code: "MO", currency_code: "MOP" },
+  Madagascar: { iso_code: "MG", currency_code: "MGA" },
+  Malawi: { iso_code: "MW", currency_code: "MWK" },
+  Malaysia: { iso_code: "MY", currency_code: "MYR" },
+  Maldives: { iso_code: "MV", currency_code: "MVR" },
+  Mali: { iso_code: "ML", currency_code: "XOF" },
+  Malta: { iso_code: "MT", currency_code: "EUR" },
+  Mauritania: { iso_code: "MR", currency_code: "MRU" },
+  Mauritius: { iso_code: "MU", currency_code: "MUR" },
+  Mexico: { iso_code: "MX", currency_code: "MXN" },
+  Moldova: { iso_code: "MD", currency_code: "MDL" },
+  Monaco: { iso_code: "MC", currency_code: "EUR" },
+  Mongolia: { iso_code: "MN", currency_code: "MNT" },
+  Montenegro: { iso_code: "ME", currency_code: "EUR" },
+  Morocco: { iso_code: "MA", currency_code: "MAD" },
+  Mozambique: { iso_code: "MZ", currency_code: "MZN" },
+  Myanmar: { iso_code: "MM", currency_code: "MMK" },
+  Namibia: { iso_code: "NA", currency_code: "NAD" },
+  Nepal: { iso_code: "NP", currency_code: "NPR" },
+  Netherlands: { iso_code: "NL", currency_code: "EUR" },
+  "New Zealand": { iso_code: "NZ", currency_code: "NZD" },
+  Nicaragua: { iso_code: "NI", currency_code: "NIO" },
+  Niger: { iso_code: "NE", currency_code: "XOF" },
+  Nigeria: { iso_code: "NG", currency_code: "NGN" },
+  "North Korea": { iso_code: "KP", currency_code: "KPW" },
+  "North Macedonia": { iso_code: "MK", currency_code: "MKD" },
+  Norway: { iso_code: "NO", currency_code: "NOK" },
+  Oman: { iso_code: "OM", currency_code: "OMR" },
+  Pakistan: { iso_code: "PK", currency_code: "PKR" },
+  Palestine: { iso_code: "PS", currency_code: "ILS" },
+  Panama: { iso_code: "PA", currency_code: "PAB" },
+  "Papua New Guinea": { iso_code: "PG", currency_code: "PGK" },
+  Paraguay: { iso_code: "PY", currency_code: "PYG" },
+  Peru: { iso_code: "PE", currency_code: "PEN" },
+  Philippines: { iso_code: "PH", currency_code: "PHP" },
+  Poland: { iso_code: "PL", currency_code: "PLN" },
+  Portugal: { iso_code: "PT", currency_code: "EUR" },
+  "Puerto Rico": { iso_code: "PR", currency_code: "USD" },
+  Qatar: { iso_code: "QA", currency_code: "QAR" },
+  Romania: { iso_code: "RO", currency_code: "RON" },
+  Russia: { iso_code: "RU", currency_code: "RUB" },
+  Rwanda: { iso_code: "RW", currency_code: "RWF" },
+  "Saint Kitts and Nevis": { iso_code: "KN", currency_code: "XCD" },
+  "Saint Lucia": { iso_code: "LC", currency_code: "XCD" },
+  "Saint Vincent and the Grenadines": { iso_code: "VC", currency_code: "XCD" },
+  Samoa: { iso_code: "WS", currency_code: "WST" },
+  "San Marino": { iso_code: "SM", currency_code: "EUR" },
+  "Saudi Arabia": { iso_code: "SA", currency_code: "SAR" },
+  Senegal: { iso_code: "SN", currency_code: "XOF" },
+  Serbia: { iso_code: "RS", currency_code: "RSD" },
+  Seychelles: { iso_code: "SC", currency_code: "SCR" },
+  "Sierra Leone": { iso_code: "SL", currency_code: "SLE" },
+  Singapore: { iso_code: "SG", currency_code: "SGD" },
+  Slovakia: { iso_code: "SK", currency_code: "EUR" },
+  Slovenia: { iso_code: "SI", currency_code: "EUR" },
+  "Solomon Islands": { iso_code: "SB", currency_code: "SBD" },
+  Somalia: { iso_code: "SO", currency_code: "SOS" },
+  "South Africa": { iso_code: "ZA", currency_code: "ZAR" },
+  "South Korea": { iso_code: "KR", currency_code: "KRW" },
+  "South Sudan": { iso_code: "SS", currency_code: "SSP" },
+  Spain: { iso_code: "ES", currency_code: "EUR" },
+  "Sri Lanka": { iso_code: "LK", currency_code: "LKR" },
+  Sudan: { iso_code: "SD", currency_code: "SDG" },
+  Suriname: { iso_code: "SR", currency_code: "SRD" },
+  Sweden: { iso_code: "SE", currency_code: "SEK" },
+  Switzerland: { iso_code: "CH", currency_code: "CHF" },
+  Syria: { iso_code: "SY", currency_code: "SYP" },
+  Taiwan: { iso_code: "TW", currency_code: "TWD" },
+  Tajikistan: { iso_code: "TJ", currency_code: "TJS" },
+  Tanzania: { iso_code: "TZ", currency_code: "TZS" },
+  Thailand: { iso_code: "TH", currency_code: "THB" },
+  "Timor-Leste": { iso_code: "TL", currency_code: "USD" },
+  Togo: { iso_code: "TG", currency_code: "XOF" },
+  Tonga: { iso_code: "TO", currency_code: "TOP" },
+  "Trinidad and Tobago": { iso_code: "TT", currency_code: "TTD" },
+  Tunisia: { iso_code: "TN", currency_code: "TND" },
+  Turkey: { iso_code: "TR", currency_code: "TRY" },
+  Turkmenistan: { iso_code: "TM", currency_code: "TMT" },
+  Uganda: { iso_code: "UG", currency_code: "UGX" },
+  Ukraine: { iso_code: "UA", currency_code: "UAH" },
+  "United Arab Emirates": { iso_code: "AE", currency_code: "AED" },
+  "United Kingdom": { iso_code: "GB", currency_code: "GBP" },
+  "United States": { iso_code: "US", currency_code: "USD" },
+  Uruguay: { iso_code: "UY", currency_code: "UYU" },
+  Uzbekistan: { iso_code: "UZ", currency_code: "UZS" },
+  Vanuatu: { iso_code: "VU", currency_code: "VUV" },
+  Venezuela: { iso_code: "VE", currency_code: "VES" },
+  Vietnam: { iso_code: "VN", currency_code: "VND" },
+  Yemen: { iso_code: "YE", currency_code: "YER" },
+  Zambia: { iso_code: "ZM", currency_code: "ZMW" },
+  Zimbabwe: { iso_code: "ZW", currency_code: "USD" },
+};
+
+/**
+ * Other names the portals (or people) use for a country in the table above
+ */
+export const COUNTRY_NAME_ALIASES = {
+  UK: "United Kingdom",
+  "Great Britain": "United Kingdom",
+  USA: "United States",
+  "United States of America": "United States",
+  Czechia: "Czech Republic",
+  Türkiye: "Turkey",
+  Turkiye: "Turkey",
+  "Korea, South": "South Korea",
+  "Republic of Korea": "South Korea",
+  "Côte d'Ivoire": "Ivory Coast",
+  "Cote d'Ivoire": "Ivory Coast",
+  Macau: "Macao",
+  Swaziland: "Eswatini",
+  Macedonia: "North Macedonia",
+  "Russian Federation": "Russia",
+  "Viet Nam": "Vietnam",
+  "Hong Kong SAR": "Hong Kong",
+  "East Timor": "Timor-Leste",
+  "Cabo Verde": "Cape Verde",
+  "DR Congo": "Democratic Republic of the Congo",
+  "Republic of the Congo": "Congo",
+};
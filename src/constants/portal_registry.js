@@ -0,0 +1,58 @@
+/**
+ * StudyPortals sites the crawler knows about, keyed by portal type.
+ * All of them share the same layout: search pages under
+ * /search/<searchSegment>/<country> and study pages under /studies/<id>/<slug>.html
+ *
+ * - domain: stored on every record as `portal`
+ * - searchSegment: path segment after /search/
+ * - degreeTypePattern: matches the degree tag of a study page (e.g. "M.Sc.")
+ * - label: name used in log messages
+ * - waitStrategies: optional per page type overrides of DEFAULT_WAIT_STRATEGIES
+ *   (src/utils/waitForPageReady.js), for portals that render differently
+ * - searchFilterParams: optional overrides of SEARCH_FILTER_PARAMS
+ *   (src/constants/search_filters.js), for portals with other query parameters
+ */
+export const PORTAL_REGISTRY = {
+  masters: {
+    domain: "mastersportal.com",
+    baseUrl: "https://www.mastersportal.com",
+    searchSegment: "master",
+    degreeTypePattern: /Bachelor|Master|PhD|MBA|\./i,
+    label: "master",
+  },
+  bachelors: {
+    domain: "bachelorsportal.com",
+    baseUrl: "https://www.bachelorsportal.com",
+    searchSegment: "bachelor",
+    degreeTypePattern: /Bachelor|B\.|BA|BSc/i,
+    label: "bachelor",
+  },
+  phd: {
+    domain: "phdportal.com",
+    baseUrl: "https://www.phdportal.com",
+    searchSegment: "phd",
+    degreeTypePattern: /PhD|Ph\.D|Doctor|DBA|EdD|MPhil/i,
+    label: "PhD",
+  },
+  shortcourses: {
+    domain: "shortcoursesportal.com",
+    baseUrl: "https://www.shortcoursesportal.com",
+    searchSegment: "short-course",
+    degreeTypePattern: /Certificate|Diploma|Course|Short/i,
+    label: "short course",
+  },
+  distancelearning: {
+    domain: "distancelearningportal.com",
+    baseUrl: "https://www.distancelearningportal.com",
+    searchSegment: "distance-learning",
+    degreeTypePattern: /Bachelor|Master|PhD|MBA|Certificate|Diploma|\./i,
+    label: "distance learning",
+  },
+  languagelearning: {
+    domain: "languagelearningportal.com",
+    baseUrl: "https://www.languagelearningportal.com",
+    searchSegment: "language-course",
+    degreeTypePattern: /Language|English|Course|Certificate/i,
+    label: "language course",
+  },
+};
@@ -0,0 +1,20 @@
+/**
+ * Search URL query parameter for each filter of a country crawl. Portals
+ * in PORTAL_REGISTRY can override them with `searchFilterParams`.
+ *
+ * - discipline: discipline ID or slug, e.g. "computer-science"
+ * - degreeType: degree type, e.g. "msc"
+ * - studyMode: attendance, e.g. "online", "blended", "face2face"
+ * - language: teaching language, e.g. "english"
+ * - tuition: { min, max } yearly tuition fee, with tuitionCurrency
+ * - duration: { min, max } in months
+ */
+export const SEARCH_FILTER_PARAMS = {
+  discipline: "di",
+  degreeType: "dg",
+  studyMode: "mh",
+  language: "lng",
+  tuition: "tr",
+  tuitionCurrency: "tc",
+  duration: "dur",
+};
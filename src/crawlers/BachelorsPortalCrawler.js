@@ -6,6 +6,7 @@ import BaseCrawler from './BaseCrawler.js';
 export default class BachelorsPortalCrawler extends BaseCrawler {
     constructor(config = {}) {
         super({
+            ...config,
             baseUrl: 'https://www.bachelorsportal.com',
             targetUrl: 'https://www.bachelorsportal.com/search/bachelor',
             maxCrawlLength: config.maxCrawlLength || 50,
@@ -1,5 +1,9 @@
 import PlaywrightBaseCrawler from "./PlaywrightBaseCrawler.js";
+import StudyPageExtractor from "../extractors/StudyPageExtractor.js";
+import { mergeWaitStrategies } from "../utils/waitForPageReady.js";
+import { getPortal, getPortalSearchUrl } from "../utils/portals.js";
 import { appendToCSV } from "../utils/csvWriter.js";
+import { toCountryCSVRow } from "../utils/csvWriterByCountry.js";
 
 /**
  * Bachelors Portal crawler using Playwright (browser automation)
@@ -8,29 +12,31 @@ import { appendToCSV } from "../utils/csvWriter.js";
 export default class BachelorsPortalPlaywrightCrawler extends PlaywrightBaseCrawler {
   constructor(config = {}) {
     super({
-      baseUrl: "https://www.bachelorsportal.com",
-      targetUrl: "https://www.bachelorsportal.com/search/bachelor",
+      ...config,
+      baseUrl: getPortal("bachelors").baseUrl,
+      targetUrl: getPortalSearchUrl("bachelors"),
       maxCrawlLength: config.maxCrawlLength || 50,
       requestDelay: config.requestDelay || 2000,
       headless: config.headless !== false,
+      waitStrategies: mergeWaitStrategies(
+        getPortal("bachelors").waitStrategies,
+        config.waitStrategies
+      ),
+      studyPageExtractor:
+        config.studyPageExtractor || StudyPageExtractor.forPortal("bachelors"),
     });
   }
 
-  async extractData($, url, page = null) {
+  async extractData($, url, page = null, responses = []) {
     const isStudyPage = /\/studies\/\d+\//.test(url);
 
     if (isStudyPage && page) {
-      const data = await this.extractStudyPageData(page, url);
+      const extracted = await this.extractStudyPageData(page, url, responses);
+      const data = extracted && this.postProcessRecord(extracted);
 
-      if (data) {
-        appendToCSV({
-          ...data,
-          intakes: data.intakes?.join(", ") || "",
-          languageRequirements: JSON.stringify(data.languageRequirements || {}),
-          generalRequirements: Array.isArray(data.generalRequirements)
-            ? data.generalRequirements.join(" | ")
-            : data.generalRequirements || "",
-        });
+      // A page given up on at shutdown is not written after the final checkpoint
+      if (data && !this.abandoned) {
+        appendToCSV(toCountryCSVRow(data));
 
         return [data];
       }
@@ -39,156 +45,6 @@ export default class BachelorsPortalPlaywrightCrawler extends PlaywrightBaseCraw
     return [];
   }
 
-  /**
-   * Extract detailed data from individual study page
-   * Uses browser DOM (Playwright)
-   */
-  async extractStudyPageData(page, url) {
-    console.log("  Extracting detailed bachelor study page data...");
-
-    try {
-      await page.waitForSelector("#Hero", { timeout: 10000 });
-      await page.waitForSelector("#QuickFacts", { timeout: 10000 });
-      await page.waitForTimeout(2000);
-
-      const data = await page.evaluate(() => {
-        const result = {};
-
-        /* ===========================
-                   HERO SECTION
-                ============================ */
-        const hero = document.querySelector("#Hero");
-        const titleWrapper = hero?.querySelector(".StudyTitleWrapper");
-
-        result.university =
-          titleWrapper
-            ?.querySelector(".OrganisationName")
-            ?.textContent.trim() || null;
-
-        result.courseName =
-          titleWrapper?.querySelector(".StudyTitle")?.innerText.trim() || null;
-
-        result.officialUniversityLink =
-          titleWrapper?.querySelector(".ProgrammeWebsiteLink")?.href || null;
-
-        /* ===========================
-                   DEGREE TYPE & STUDY MODE
-                ============================ */
-        let degreeType = null;
-        let studyMode = null;
-
-        document.querySelectorAll(".DegreeTags .Tag").forEach((tag) => {
-          const text = tag.textContent.trim();
-          if (/Bachelor|B\.|BA|BSc/i.test(text)) degreeType = text;
-          if (/campus|online|distance|blended/i.test(text)) studyMode = text;
-        });
-
-        result.degreeType = degreeType;
-        result.studyMode = studyMode;
-
-        /* ===========================
-                   TUITION FEE (INTERNATIONAL)
-                ============================ */
-        const fee = document.querySelector(
-          '.TuitionFeeContainer[data-target="international"]'
-        );
-
-        if (fee) {
-          const title = fee.querySelector(".Title")?.textContent.trim();
-          const currency = fee
-            .querySelector(".CurrencyType")
-            ?.textContent.trim();
-          const unit = fee.querySelector(".Unit")?.textContent.trim();
-
-          result.tuitionFee =
-            title && currency && unit ? `${title} ${currency} ${unit}` : null;
-        } else {
-          result.tuitionFee = null;
-        }
-
-        /* ===========================
-                   DURATION
-                ============================ */
-        result.duration =
-          document.querySelector(".js-duration")?.textContent.trim() || null;
-
-        /* ===========================
-                   START DATES
-                ============================ */
-        const intakes = [];
-        document
-          .querySelectorAll(".QuickFactComponent .Label i.lnr-calendar-full")[0]
-          ?.closest(".QuickFactComponent")
-          ?.querySelectorAll("time")
-          ?.forEach((t) => intakes.push(t.textContent.trim()));
-
-        result.intakes = intakes;
-
-        /* ===========================
-                   ENGLISH REQUIREMENTS
-                ============================ */
-        const tests = new Map();
-
-        document
-          .querySelectorAll(
-            "#EnglishRequirements .CardContents.EnglishCardContents"
-          )
-          .forEach((card) => {
-            const name = card
-              .querySelector(".Heading")
-              ?.textContent.replace(/\s+/g, " ")
-              .trim();
-
-            const score =
-              card
-                .querySelector(".Score span")
-                ?.textContent.replace(/[^0-9.]/g, "")
-                .trim() || null;
-
-            if (name && !tests.has(name)) {
-              tests.set(name, score);
-            }
-          });
-
-        result.languageRequirements = Object.fromEntries(tests);
-
-        /* ===========================
-                   GENERAL REQUIREMENTS
-                ============================ */
-        const reqs = [];
-        document
-          .querySelectorAll("#OtherRequirements h3 + ul li")
-          .forEach((li) => reqs.push(li.textContent.trim()));
-
-        result.generalRequirements = reqs.length ? reqs : null;
-
-        /* ===========================
-                   COUNTRY / LOCATION
-                ============================ */
-        document
-          .querySelectorAll("#QuickFacts .QuickFactComponent")
-          .forEach((comp) => {
-            if (comp.textContent.includes("Campus location")) {
-              result.country =
-                comp.querySelector(".Value")?.textContent.trim() || null;
-            }
-          });
-
-        return result;
-      });
-
-      return {
-        ...data,
-        sourceUrl: url,
-        portal: "bachelorsportal.com",
-        extractedAt: new Date().toISOString(),
-      };
-    } catch (err) {
-      console.error("❌ Bachelor study extraction failed:", err.message);
-      return null;
-    }
-  }
-
   /**
    * URL filtering logic (unchanged)
    */
@@ -1,5 +1,13 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
+import {
+    getCheckpointPath,
+    readCheckpointFile,
+    writeCheckpointFile,
+    removeCheckpointFile
+} from '../utils/crawlCheckpoint.js';
+import { canonicalizeUrl, getUrlKey } from '../utils/canonicalizeUrl.js';
+import { Frontier } from '../utils/frontier.js';
 
 /**
  * Base Crawler class that provides common functionality for web crawling
@@ -12,6 +20,11 @@ export default class BaseCrawler {
      * @param {number} config.maxCrawlLength - Maximum number of pages to crawl
      * @param {number} config.requestDelay - Delay between requests in milliseconds
      * @param {number} config.timeout - Request timeout in milliseconds
+     * @param {boolean} config.checkpoint - Persist/resume crawl state on disk (default: true)
+     * @param {string} config.checkpointFile - Checkpoint file path (default: output/checkpoints/<crawler>_<target>.json)
+     * @param {number} config.checkpointInterval - Save a checkpoint every N crawled pages (default: 5)
+     * @param {Array<string>} config.stripParams - Query parameters removed from every URL (default: DEFAULT_STRIPPED_PARAMS, tracking parameters)
+     * @param {string} config.frontierPolicy - Order of the URL queue: 'bfs', 'dfs', 'study-first' or 'round-robin' (default: 'bfs', see FRONTIER_POLICIES)
      */
     constructor(config = {}) {
         this.baseUrl = config.baseUrl || '';
@@ -21,36 +34,29 @@ export default class BaseCrawler {
         this.timeout = config.timeout || 10000;
         this.maxRetries = config.maxRetries || 3;
         this.retryDelay = config.retryDelay || 5000;
+        this.checkpointEnabled = config.checkpoint !== false;
+        this.checkpointFile = config.checkpointFile || getCheckpointPath(this.constructor.name, this.targetUrl);
+        this.checkpointInterval = config.checkpointInterval || 5;
+        this.stripParams = config.stripParams;
+        this.frontierPolicy = config.frontierPolicy || 'bfs';
 
-        this.urlsToVisit = [this.targetUrl];
+        this.frontier = new Frontier([this.normalizeUrl(this.targetUrl) || this.targetUrl], { policy: this.frontierPolicy });
         this.visitedUrls = new Set();
+        this.inFlightUrls = new Set();
         this.crawledCount = 0;
         this.extractedData = [];
     }
 
     /**
-     * Normalize URL to absolute format
-     * @param {string} url - URL to normalize
-     * @returns {string} - Normalized absolute URL
+     * Normalize a link to its canonical absolute URL (see canonicalizeUrl)
+     * @param {string} url - Link to normalize
+     * @param {string} pageUrl - Page the link was found on (default: baseUrl)
+     * @returns {string|null} - Canonical URL, or null for non-page links
      */
-    normalizeUrl(url) {
-        if (!url || url === '#' || url.startsWith('javascript:')) {
-            return null;
-        }
-
-        // Already absolute URL
-        if (url.startsWith('http')) {
-            return url;
-        }
-
-        // Protocol-relative URL
-        if (url.startsWith('//')) {
-            return 'https:' + url;
-        }
-
-        // Relative URL
-        const path = url.startsWith('/') ? url : '/' + url;
-        return this.baseUrl + path;
+    normalizeUrl(url, pageUrl = this.baseUrl) {
+        return canonicalizeUrl(url, pageUrl || this.baseUrl, {
+            stripParams: this.stripParams
+        });
     }
 
     /**
@@ -62,8 +68,7 @@ export default class BaseCrawler {
         return (
             url &&
             url.startsWith(this.baseUrl) &&
-            !this.visitedUrls.has(url) &&
-            !this.urlsToVisit.includes(url)
+            !this.frontier.has(url)
         );
     }
 
@@ -127,14 +132,19 @@ export default class BaseCrawler {
     /**
      * Parse HTML and extract links
      * @param {string} html - HTML content to parse
-     * @returns {Array<string>} - Array of extracted URLs
+     * @param {string} pageUrl - URL of the page, relative links resolve against it
+     * @returns {Array<string>} - New canonical URLs, each page once
      */
-    extractLinks(html) {
+    extractLinks(html, pageUrl) {
         const $ = cheerio.load(html);
         const links = [];
+        const seen = new Set();
 
         $('a[href]').each((_, element) => {
-            const url = this.normalizeUrl($(element).attr('href'));
+            const url = this.normalizeUrl($(element).attr('href'), pageUrl);
+            if (!url || seen.has(getUrlKey(url))) return;
+
+            seen.add(getUrlKey(url));
             if (this.shouldCrawlUrl(url)) {
                 links.push(url);
             }
@@ -173,13 +183,13 @@ export default class BaseCrawler {
             }
 
             // Extract links
-            const links = this.extractLinks(response.data);
+            const links = this.extractLinks(response.data, url);
             if (links.length > 0) {
-                this.urlsToVisit.push(...links);
+                links.forEach(link => this.frontier.add(link, { referrer: url }));
                 console.log(`  Found ${links.length} new links to crawl`);
             }
 
-            console.log(`  Queue size: ${this.urlsToVisit.length}\n`);
+            console.log(`  Queue size: ${this.frontier.size}\n`);
 
             // Rate limiting with random variance
             const variance = Math.floor(Math.random() * 1000); // 0-1000ms random variance
@@ -208,25 +218,98 @@ export default class BaseCrawler {
         console.log(`Target: ${this.targetUrl}`);
         console.log(`Max pages to crawl: ${this.maxCrawlLength}\n`);
 
-        while (this.urlsToVisit.length > 0 && this.crawledCount < this.maxCrawlLength) {
-            const currentUrl = this.urlsToVisit.shift();
+        this.restoreFromCheckpoint();
 
-            // Skip if already visited
-            if (this.visitedUrls.has(currentUrl)) {
-                continue;
-            }
+        let completed = false;
+        try {
+            while (this.frontier.size > 0 && this.crawledCount < this.maxCrawlLength) {
+                // Takes the next unvisited URL and marks it visited
+                const currentUrl = this.frontier.next();
+                if (!currentUrl) break;
 
-            // Mark as visited and increment counter
-            this.visitedUrls.add(currentUrl);
-            this.crawledCount++;
+                this.visitedUrls.add(currentUrl);
+                this.crawledCount++;
 
-            // Process the page
-            await this.processPage(currentUrl);
+                // Process the page
+                this.inFlightUrls.add(currentUrl);
+                await this.processPage(currentUrl);
+                this.inFlightUrls.delete(currentUrl);
+
+                if (this.crawledCount % this.checkpointInterval === 0) {
+                    this.saveCheckpoint();
+                }
+            }
+            completed = true;
+        } finally {
+            // A finished crawl starts fresh next time; an interrupted one resumes
+            if (completed) {
+                this.clearCheckpoint();
+            } else {
+                this.saveCheckpoint();
+            }
         }
 
         return this.getResults();
     }
 
+    /**
+     * Persist the frontier, visited set and extracted data to the checkpoint file
+     */
+    saveCheckpoint() {
+        if (!this.checkpointEnabled) return;
+
+        // Pages still being processed are saved as unvisited so they are retried
+        const inFlight = Array.from(this.inFlightUrls);
+
+        try {
+            writeCheckpointFile(this.checkpointFile, {
+                crawler: this.constructor.name,
+                targetUrl: this.targetUrl,
+                crawledCount: this.crawledCount - inFlight.length,
+                urlsToVisit: [...inFlight, ...this.frontier.toArray()],
+                visitedUrls: Array.from(this.visitedUrls).filter(url => !this.inFlightUrls.has(url)),
+                extractedData: this.extractedData
+            });
+            console.log(`Checkpoint saved (${this.crawledCount} pages crawled)`);
+        } catch (error) {
+            console.error(`Failed to save checkpoint: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resume crawl state from the checkpoint file, if one exists
+     * @returns {boolean} - True if state was restored
+     */
+    restoreFromCheckpoint() {
+        if (!this.checkpointEnabled) return false;
+
+        const state = readCheckpointFile(this.checkpointFile);
+        if (!state || state.targetUrl !== this.targetUrl) return false;
+
+        this.crawledCount = state.crawledCount || 0;
+        this.frontier = new Frontier(state.urlsToVisit || [], { policy: this.frontierPolicy });
+        this.visitedUrls = new Set(state.visitedUrls || []);
+        this.visitedUrls.forEach(url => this.frontier.markVisited(url));
+        this.extractedData = state.extractedData || [];
+
+        console.log(`Resuming from checkpoint saved at ${state.savedAt}`);
+        console.log(`  ${this.crawledCount} pages crawled, ${this.frontier.size} URLs queued\n`);
+        return true;
+    }
+
+    /**
+     * Remove the checkpoint file
+     */
+    clearCheckpoint() {
+        if (!this.checkpointEnabled) return;
+
+        try {
+            removeCheckpointFile(this.checkpointFile);
+        } catch (error) {
+            console.error(`Failed to remove checkpoint: ${error.message}`);
+        }
+    }
+
     /**
      * Get crawl results
      * @returns {Object} - Results object
@@ -235,13 +318,13 @@ export default class BaseCrawler {
         console.log('\n=== Crawl Complete ===');
         console.log(`Total pages crawled: ${this.crawledCount}`);
         console.log(`Total unique URLs found: ${this.visitedUrls.size}`);
-        console.log(`URLs in queue: ${this.urlsToVisit.length}`);
+        console.log(`URLs in queue: ${this.frontier.size}`);
         console.log(`Data items extracted: ${this.extractedData.length}`);
 
         return {
             crawledCount: this.crawledCount,
             visitedUrls: Array.from(this.visitedUrls),
-            remainingUrls: this.urlsToVisit,
+            remainingUrls: this.frontier.toArray(),
             extractedData: this.extractedData
         };
     }
@@ -250,8 +333,9 @@ export default class BaseCrawler {
      * Reset crawler state
      */
     reset() {
-        this.urlsToVisit = [this.targetUrl];
+        this.frontier = new Frontier([this.normalizeUrl(this.targetUrl) || this.targetUrl], { policy: this.frontierPolicy });
         this.visitedUrls = new Set();
+        this.inFlightUrls = new Set();
         this.crawledCount = 0;
         this.extractedData = [];
     }
@@ -0,0 +1,46 @@
+import PlaywrightBaseCrawler from "./PlaywrightBaseCrawler.js";
+import { getPortal, getPortalSearchUrl } from "../utils/portals.js";
+import { parseCountryLinks } from "../utils/countryDiscovery.js";
+
+/**
+ * Reads the list of countries a portal has programmes in, from its
+ * search page country filter and its /countries page
+ */
+export default class CountryDiscoveryCrawler extends PlaywrightBaseCrawler {
+  /**
+   * @param {Object} config - Configuration object (see PlaywrightBaseCrawler)
+   * @param {string} config.portalType - Key of PORTAL_REGISTRY (default: 'masters')
+   */
+  constructor(config = {}) {
+    const portal = getPortal(config.portalType || "masters");
+    const searchUrl = getPortalSearchUrl(portal.portalType, "");
+
+    super({
+      ...config,
+      baseUrl: portal.baseUrl,
+      targetUrl: searchUrl,
+      startUrls: [searchUrl, `${portal.baseUrl}/countries`],
+      maxCrawlLength: 2,
+      checkpoint: false,
+      captureResponses: false,
+    });
+
+    this.portal = portal;
+  }
+
+  /**
+   * Country pages aren't priced, so no currency is applied
+   */
+  async applyPageContext(page, url) {}
+
+  async extractData($, url) {
+    return parseCountryLinks($, this.portal);
+  }
+
+  /**
+   * Only the start pages are read
+   */
+  shouldCrawlUrl(url) {
+    return false;
+  }
+}
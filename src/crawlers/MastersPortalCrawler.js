@@ -6,6 +6,7 @@ import BaseCrawler from './BaseCrawler.js';
 export default class MastersPortalCrawler extends BaseCrawler {
     constructor(config = {}) {
         super({
+            ...config,
             baseUrl: 'https://www.mastersportal.com',
             targetUrl: 'https://www.mastersportal.com/search/master',
             maxCrawlLength: config.maxCrawlLength || 50,
@@ -1,6 +1,36 @@
 import { chromium } from "playwright";
 import * as cheerio from "cheerio";
-import { applyCurrencyByCountry } from "../utils/applyCurrencyByCountry.js";
+import { applyCurrencyByCountryContext } from "../utils/applyCurrencyByCountryContext.js";
+import { getCountryFromUrl } from "../utils/getCountryFromUrl.js";
+import { reconcileCountry } from "../utils/countryContext.js";
+import { isPortalSearchUrl } from "../utils/portals.js";
+import { getStudyIdFromUrl } from "../utils/getStudyIdFromUrl.js";
+import { canonicalizeUrl, getUrlKey } from "../utils/canonicalizeUrl.js";
+import { Frontier } from "../utils/frontier.js";
+import { onShutdown } from "../utils/shutdown.js";
+import { PageFetchError, classifyFetchError } from "../utils/pageFetchError.js";
+import { detectBlockPage } from "../utils/detectBlockPage.js";
+import {
+  getPageType,
+  mergeWaitStrategies,
+  waitForPageReady,
+} from "../utils/waitForPageReady.js";
+import { createRequestBlocker } from "../utils/requestBlocking.js";
+import {
+  DEFAULT_RESPONSE_PATTERNS,
+  captureJsonResponses,
+} from "../utils/responseCapture.js";
+import {
+  getCheckpointPath,
+  sameStartUrls,
+  readCheckpointFile,
+  writeCheckpointFile,
+  removeCheckpointFile,
+} from "../utils/crawlCheckpoint.js";
+import {
+  loadExchangeRates,
+  convertTuitionFees,
+} from "../utils/convertCurrency.js";
 
 /**
  * Playwright-based Base Crawler class for sites with anti-bot protection
@@ -14,6 +44,34 @@ export default class PlaywrightBaseCrawler {
    * @param {number} config.maxCrawlLength - Maximum number of pages to crawl
    * @param {number} config.requestDelay - Delay between requests in milliseconds
    * @param {boolean} config.headless - Run browser in headless mode
+   * @param {boolean} config.checkpoint - Persist/resume crawl state on disk (default: true)
+   * @param {string} config.checkpointFile - Checkpoint file path (default: output/checkpoints/<crawler>_<target>.json)
+   * @param {number} config.checkpointInterval - Save a checkpoint every N crawled pages (default: 5)
+   * @param {number} config.concurrency - Number of pages crawled in parallel (default: 1)
+   * @param {string} config.reportingCurrency - Convert parsed tuition fees into this ISO currency (optional)
+   * @param {string} config.exchangeRatesFile - Exchange-rate table (default: src/constants/exchange_rates.json)
+   * @param {StudyPageExtractor} config.studyPageExtractor - Extractor for study pages (subclasses set their portal's)
+   * @param {number} config.maxRetries - Retries per page after a failed load (default: 3)
+   * @param {number} config.retryDelay - First retry delay in ms, doubled on each retry (default: 5000)
+   * @param {Array<string>} config.startUrls - URLs to start from instead of targetUrl, e.g. a previous run's failedUrls
+   * @param {number} config.blockPause - Crawl-wide pause after a challenge/block page, in ms; doubles while blocks continue (default: 60000)
+   * @param {number} config.maxBlockPause - Upper limit for the pause in ms (default: 600000)
+   * @param {boolean} config.rotateContextOnBlock - Start a fresh browser context (cookies, storage) after repeated blocks (default: false)
+   * @param {number} config.rotateContextAfter - Consecutive blocks before the context is rotated (default: 2)
+   * @param {Object} config.waitStrategies - Per page type ('study', 'search', 'other') overrides of DEFAULT_WAIT_STRATEGIES
+   * @param {number} config.maxPageWait - Ceiling in ms for any page's content wait (default: the strategy's timeout)
+   * @param {boolean} config.blockResources - Abort requests for unneeded resources (default: true)
+   * @param {Array<string>} config.blockedResourceTypes - Resource types to block (default: image, media, font)
+   * @param {Array<string|RegExp>} config.blockedUrlPatterns - URL patterns to block (default: analytics/ad/tracker hosts)
+   * @param {Array<string|RegExp>|boolean} config.captureResponses - URL patterns of JSON responses handed to the extractors, or false to disable (default: DEFAULT_RESPONSE_PATTERNS)
+   * @param {SearchPageExtractor} config.searchPageExtractor - Extractor for search result cards (optional; no listings without it)
+   * @param {boolean} config.indexOnly - Only crawl search pages and keep their listings; study pages are never visited (default: false)
+   * @param {Array<string>} config.stripParams - Query parameters removed from every URL (default: DEFAULT_STRIPPED_PARAMS, tracking parameters)
+   * @param {number} config.maxDuration - Stop taking new pages after this many ms (default: no limit)
+   * @param {number} config.maxRecords - Stop taking new pages once this many study records are extracted (default: no limit)
+   * @param {number} config.maxSearchPages - Search/pagination pages to crawl at most; study pages already found are still crawled (default: no limit)
+   * @param {number} config.shutdownTimeout - After stop() or SIGINT/SIGTERM, ms to wait for pages in flight before giving up on them (default: 30000)
+   * @param {string} config.frontierPolicy - Order of the URL queue: 'study-first', 'round-robin', 'bfs' or 'dfs' (default: 'study-first', see FRONTIER_POLICIES)
    */
   constructor(config = {}) {
     this.baseUrl = config.baseUrl || "";
@@ -21,13 +79,80 @@ export default class PlaywrightBaseCrawler {
     this.maxCrawlLength = config.maxCrawlLength || 50;
     this.requestDelay = config.requestDelay || 2000;
     this.headless = false; // Default to true
+    this.checkpointEnabled = config.checkpoint !== false;
+    this.checkpointInterval = config.checkpointInterval || 5;
+    this.concurrency = Math.max(1, config.concurrency || 1);
+    this.reportingCurrency = config.reportingCurrency || null;
+    this.exchangeRates = this.reportingCurrency
+      ? loadExchangeRates(config.exchangeRatesFile)
+      : null;
+    this.studyPageExtractor = config.studyPageExtractor || null;
+    this.maxRetries = config.maxRetries ?? 3;
+    this.retryDelay = config.retryDelay || 5000;
+    this.stripParams = config.stripParams;
+    this.startUrls = (
+      config.startUrls?.length ? config.startUrls : [this.targetUrl]
+    ).map((url) => this.normalizeUrl(url) || url);
+    this.customStartUrls = config.startUrls?.length > 0;
+    this.indexOnly = config.indexOnly === true;
+    this.checkpointFile =
+      config.checkpointFile ||
+      getCheckpointPath(
+        this.constructor.name,
+        this.targetUrl,
+        this.customStartUrls ? this.startUrls : [this.targetUrl],
+        { indexOnly: this.indexOnly }
+      );
+    this.blockPause = config.blockPause || 60000;
+    this.maxBlockPause = config.maxBlockPause || 600000;
+    this.rotateContextOnBlock = config.rotateContextOnBlock === true;
+    this.rotateContextAfter = config.rotateContextAfter || 2;
+    this.waitStrategies = mergeWaitStrategies(config.waitStrategies);
+    this.maxPageWait = config.maxPageWait || Infinity;
+    this.requestBlocker =
+      config.blockResources === false
+        ? null
+        : createRequestBlocker({
+            resourceTypes: config.blockedResourceTypes,
+            urlPatterns: config.blockedUrlPatterns,
+          });
+    this.responsePatterns =
+      config.captureResponses === false
+        ? []
+        : Array.isArray(config.captureResponses)
+        ? config.captureResponses
+        : DEFAULT_RESPONSE_PATTERNS;
+    this.searchPageExtractor = config.searchPageExtractor || null;
+    this.frontierPolicy = config.frontierPolicy || "study-first";
+    this.maxDuration = config.maxDuration || Infinity;
+    this.maxRecords = config.maxRecords || Infinity;
+    this.maxSearchPages = config.maxSearchPages ?? Infinity;
+    this.shutdownTimeout = config.shutdownTimeout || 30000;
 
-    this.urlsToVisit = [this.targetUrl];
+    this.frontier = new Frontier(this.startUrls, { policy: this.frontierPolicy });
     this.visitedUrls = new Set();
+    this.inFlightUrls = new Set();
     this.crawledCount = 0;
     this.extractedData = [];
     this.browser = null;
     this.context = null;
+    this.hostNextRequestAt = new Map();
+    this.pagesSinceCheckpoint = 0;
+    this.failedUrls = new Map();
+    this.blockEvents = [];
+    this.consecutiveBlocks = 0;
+    this.blockedUntil = 0;
+    this.contextRotations = 0;
+    this.listings = new Map();
+    this.urlLineage = new Map();
+    this.startUrls.forEach((url) => this.recordDiscovery(url, null));
+    this.searchPagesCrawled = 0;
+    this.setAsideUrls = [];
+    this.previousRows = null;
+    this.startedAt = null;
+    this.stopReason = null;
+    this.interrupted = false;
+    this.abandoned = false;
   }
 
   /**
@@ -44,13 +169,52 @@ export default class PlaywrightBaseCrawler {
       ],
     });
 
-    this.context = await this.browser.newContext({
+    this.context = await this.createContext();
+
+    console.log("Browser launched successfully\n");
+  }
+
+  /**
+   * Create a browser context (own cookies and storage)
+   * @returns {Promise<Object>} - Playwright browser context
+   */
+  async createContext() {
+    const context = await this.browser.newContext({
       viewport: { width: 1920, height: 1080 },
       userAgent:
         "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
     });
 
-    console.log("Browser launched successfully\n");
+    // Skip images, fonts and trackers on every page of the context
+    if (this.requestBlocker) {
+      await context.route("**/*", this.requestBlocker.handleRoute);
+    }
+
+    return context;
+  }
+
+  /**
+   * Replace the browser context with a fresh one, dropping the cookies that
+   * got the crawler flagged. Pages still open on the old context finish first.
+   */
+  async rotateContext() {
+    const oldContext = this.context;
+    this.context = await this.createContext();
+    this.contextRotations++;
+    console.log("🔄 Browser context rotated");
+
+    this.whenPagesClosed(oldContext).then(() => oldContext.close().catch(() => {}));
+  }
+
+  /**
+   * Resolve once a context has no open pages
+   * @param {Object} context - Playwright browser context
+   * @returns {Promise}
+   */
+  async whenPagesClosed(context) {
+    while (context.pages().length > 0) {
+      await this.delay(1000);
+    }
   }
 
   /**
@@ -59,29 +223,21 @@ export default class PlaywrightBaseCrawler {
   async closeBrowser() {
     if (this.context) await this.context.close();
     if (this.browser) await this.browser.close();
+    this.context = null;
+    this.browser = null;
     console.log("\nBrowser closed");
   }
 
   /**
-   * Normalize URL to absolute format
-   * @param {string} url - URL to normalize
-   * @returns {string} - Normalized absolute URL
+   * Normalize a link to its canonical absolute URL (see canonicalizeUrl)
+   * @param {string} url - Link to normalize
+   * @param {string} pageUrl - Page the link was found on (default: baseUrl)
+   * @returns {string|null} - Canonical URL, or null for non-page links
    */
-  normalizeUrl(url) {
-    if (!url || url === "#" || url.startsWith("javascript:")) {
-      return null;
-    }
-
-    if (url.startsWith("http")) {
-      return url;
-    }
-
-    if (url.startsWith("//")) {
-      return "https:" + url;
-    }
-
-    const path = url.startsWith("/") ? url : "/" + url;
-    return this.baseUrl + path;
+  normalizeUrl(url, pageUrl = this.baseUrl) {
+    return canonicalizeUrl(url, pageUrl || this.baseUrl, {
+      stripParams: this.stripParams,
+    });
   }
 
   /**
@@ -93,18 +249,55 @@ export default class PlaywrightBaseCrawler {
     return (
       url &&
       url.startsWith(this.baseUrl) &&
-      !this.visitedUrls.has(url) &&
-      !this.urlsToVisit.includes(url)
+      !(this.indexOnly && getStudyIdFromUrl(url)) &&
+      !this.frontier.has(url)
     );
   }
 
+  /**
+   * Prepare a new page before navigating to it (cookies, currency, ...).
+   * Subclasses override this instead of fetchPage.
+   * @param {Object} page - Playwright page
+   * @param {string} url - URL about to be loaded
+   */
+  async applyPageContext(page, url) {
+    await applyCurrencyByCountryContext(page, this.getCountryContext(url));
+  }
+
+  /**
+   * Country a URL is crawled under: the country of the URL itself for
+   * search pages, otherwise that of the nearest search page in its
+   * discovery lineage (a study page inherits the country of the search
+   * page that linked to it)
+   * @param {string} url - Crawled URL
+   * @returns {string|null} - Country key (see loadCountryConfig), e.g. 'Germany'
+   */
+  getCountryContext(url) {
+    const seen = new Set();
+    let current = url;
+
+    while (current && !seen.has(current)) {
+      const countryKey = getCountryFromUrl(current);
+      if (countryKey) return countryKey;
+
+      seen.add(current);
+      current = this.urlLineage.get(current)?.discoveredFrom;
+    }
+
+    return null;
+  }
+
   /**
    * Fetch page using Playwright
    * @param {string} url - URL to fetch
-   * @returns {Promise<Object>} - Object with html content and page reference
+   * @returns {Promise<Object>} - Object with html content, page reference and captured JSON responses
    */
   async fetchPage(url) {
     const page = await this.context.newPage();
+    const capture =
+      this.responsePatterns.length > 0
+        ? captureJsonResponses(page, this.responsePatterns)
+        : null;
 
     try {
       // Add stealth scripts to hide automation
@@ -137,42 +330,38 @@ export default class PlaywrightBaseCrawler {
             : originalQuery(parameters);
       });
 
-      await applyCurrencyByCountry(page, url);
+      await this.applyPageContext(page, url);
 
       // Navigate to page
-      await page.goto(url, {
+      const response = await page.goto(url, {
         waitUntil: "domcontentloaded",
         timeout: 30000,
       });
 
-      // Wait for network to settle
-      await page
-        .waitForLoadState("networkidle", { timeout: 15000 })
-        .catch(() => {
-          console.log("  ⏳ Network still active, continuing...");
-        });
+      const status = response?.status();
+      if (status >= 400) {
+        // Block pages usually come with 403/429/503
+        await this.checkForBlockPage(page, url, status);
+        throw new PageFetchError("http", `HTTP ${status}`, { url, status });
+      }
 
-      // Wait for JavaScript to render content (Vue.js takes time)
-      // Wait for actual content to appear on the page
-      const isSearchPage = url.includes("/search/");
-      if (isSearchPage) {
-        // For search pages, wait for program cards to load
-        console.log("  ⏳ Waiting for search results to load...");
-        try {
-          await page.waitForSelector('a[href*="/studies/"]', {
-            timeout: 30000, // Wait up to 30 seconds for study links
-            state: "attached",
-          });
-          console.log("  ✓ Study links loaded");
-        } catch (e) {
-          console.log(
-            "  ⚠️  Study links not found after 30s, continuing anyway..."
-          );
-        }
-      } else {
-        // For study pages, wait longer for main content to render
-        console.log("  ⏳ Waiting for page content to load...");
-        await page.waitForTimeout(8000); // Wait 8 seconds for content to fully load
+      // Challenge pages served with status 200 never render the content
+      // waited for below, so check before spending the wait on them
+      await this.checkForBlockPage(page, url, status);
+
+      // Wait until the content this page type needs has rendered
+      const pageType = getPageType(url);
+      const { ready, waitedMs, missing } = await waitForPageReady(
+        page,
+        this.waitStrategies[pageType],
+        this.maxPageWait
+      );
+      if (ready) {
+        console.log(`  ✓ ${pageType} page ready after ${waitedMs}ms`);
+      } else if (missing.length > 0) {
+        console.log(
+          `  ⚠️  ${pageType} page not ready after ${waitedMs}ms (missing: ${missing.join(", ")}), continuing anyway...`
+        );
       }
 
       // Add small random delay to appear more human-like
@@ -187,27 +376,209 @@ export default class PlaywrightBaseCrawler {
       // Wait a bit more
       await page.waitForTimeout(500);
 
-      // Get HTML content
-      const html = await page.content();
+      // Interstitials can also replace the page while it renders
+      const html = await this.checkForBlockPage(page, url, status);
+
+      await capture?.settle();
+      capture?.stop();
 
-      return { html, page };
+      return { html, page, responses: capture?.responses || [] };
     } catch (error) {
       await page.close();
-      throw new Error(`Failed to fetch ${url}: ${error.message}`);
+      throw classifyFetchError(error, url);
+    }
+  }
+
+  /**
+   * Throw a 'challenge' PageFetchError if the page is a challenge or block page
+   * @param {Object} page - Playwright page
+   * @param {string} url - Page URL
+   * @param {number} status - HTTP status of the navigation
+   * @returns {Promise<string>} - Page HTML
+   */
+  async checkForBlockPage(page, url, status) {
+    const html = await page.content();
+    const title = await page.title().catch(() => "");
+    const block = detectBlockPage({ html, title, status });
+
+    if (block) {
+      const error = new PageFetchError("challenge", block.reason, {
+        url,
+        status,
+      });
+      error.blockKind = block.kind;
+      throw error;
+    }
+
+    return html;
+  }
+
+  /**
+   * Record a challenge/block page and pause the whole crawl: no worker starts
+   * a request until the pause is over. The pause doubles with every
+   * consecutive block episode, up to maxBlockPause. Blocks hit while a pause
+   * is already running come from workers whose requests were in flight when
+   * the episode started, so they are recorded but don't escalate the pause.
+   * @param {string} url - Blocked URL
+   * @param {PageFetchError} error - 'challenge' failure
+   */
+  async handleBlock(url, error) {
+    const pauseActive = Date.now() < this.blockedUntil;
+    if (!pauseActive) this.consecutiveBlocks++;
+
+    const pause = Math.min(
+      this.blockPause * Math.pow(2, this.consecutiveBlocks - 1),
+      this.maxBlockPause
+    );
+
+    this.blockEvents.push({
+      url,
+      kind: error.blockKind || "challenge",
+      reason: error.message,
+      status: error.status,
+      pauseMs: pauseActive ? 0 : pause,
+      at: new Date().toISOString(),
+    });
+
+    if (pauseActive) {
+      console.warn(`  🛑 ${error.message} - crawl already paused`);
+      return;
+    }
+
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + pause);
+
+    console.warn(
+      `\n🛑 ${error.message} - pausing crawl for ${Math.round(pause / 1000)}s (block #${
+        this.consecutiveBlocks
+      } in a row)`
+    );
+
+    if (
+      this.rotateContextOnBlock &&
+      this.consecutiveBlocks % this.rotateContextAfter === 0
+    ) {
+      await this.rotateContext();
     }
   }
 
+  /**
+   * Wait until a crawl-wide block pause is over
+   */
+  async waitForBlockPause() {
+    // In short steps, so a stopped crawl doesn't sit out the whole pause
+    while (Date.now() < this.blockedUntil && !this.interrupted) {
+      await this.delay(Math.min(this.blockedUntil - Date.now(), 1000));
+    }
+  }
+
+  /**
+   * Fetch a page, retrying failed loads with exponential backoff
+   * @param {string} url - URL to fetch
+   * @returns {Promise<Object>} - Object with html content, page reference and captured JSON responses
+   * @throws {PageFetchError} - When all attempts failed or the failure isn't retryable
+   */
+  async fetchPageWithRetry(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchPage(url);
+      } catch (error) {
+        const failure = classifyFetchError(error, url);
+        failure.attempts = attempt + 1;
+
+        if (failure.type === "challenge") {
+          // Back off across the whole crawl, even when giving up on this page
+          await this.handleBlock(url, failure);
+        }
+
+        if (attempt >= this.maxRetries || !failure.retryable) {
+          throw failure;
+        }
+
+        if (failure.type === "challenge") {
+          console.log(`  ↻ retry ${attempt + 1}/${this.maxRetries} after the pause...`);
+          await this.waitForBlockPause();
+          continue;
+        }
+
+        const delay = this.retryDelay * Math.pow(2, attempt); // Exponential backoff
+        console.log(
+          `  ↻ ${failure.type} (${failure.message}) - retry ${attempt + 1}/${
+            this.maxRetries
+          } after ${delay}ms...`
+        );
+        await this.delay(delay);
+      }
+    }
+  }
+
+  /**
+   * Remember a page that couldn't be crawled so it can be re-crawled later
+   * @param {string} url - Page URL
+   * @param {Error} error - Failure
+   */
+  recordFailure(url, error) {
+    const failure = classifyFetchError(error, url);
+
+    this.failedUrls.set(url, {
+      url,
+      type: failure.type,
+      status: failure.status,
+      message: failure.message,
+      attempts: failure.attempts || 1,
+      failedAt: new Date().toISOString(),
+      discoveredFrom: this.getLineage(url).discoveredFrom,
+    });
+  }
+
+  /**
+   * Remember how a URL entered the frontier. Only the first discovery is
+   * kept: later links to the same URL don't change its lineage.
+   * @param {string} url - Discovered URL
+   * @param {string|null} referrer - Page the link was found on (null for start URLs)
+   */
+  recordDiscovery(url, referrer) {
+    if (this.urlLineage.has(url)) return;
+
+    const parent = referrer ? this.urlLineage.get(referrer) : null;
+    this.urlLineage.set(url, {
+      discoveredFrom: referrer,
+      discoveryDepth: referrer ? (parent?.discoveryDepth ?? 0) + 1 : 0,
+      discoveredAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * How the crawler reached a URL
+   * @param {string} url - Crawled URL
+   * @returns {Object} - { discoveredFrom, discoveryDepth, discoveredAt }
+   *   (all null for URLs the frontier never saw)
+   */
+  getLineage(url) {
+    return (
+      this.urlLineage.get(url) || {
+        discoveredFrom: null,
+        discoveryDepth: null,
+        discoveredAt: null,
+      }
+    );
+  }
+
   /**
    * Extract links from HTML
    * @param {string} html - HTML content
-   * @returns {Array<string>} - Array of URLs
+   * @param {string} pageUrl - URL of the page, relative links resolve against it
+   * @returns {Array<string>} - New canonical URLs, each page once
    */
-  extractLinks(html) {
+  extractLinks(html, pageUrl) {
     const $ = cheerio.load(html);
     const links = [];
+    const seen = new Set();
 
     $("a[href]").each((_, element) => {
-      const url = this.normalizeUrl($(element).attr("href"));
+      const url = this.normalizeUrl($(element).attr("href"), pageUrl);
+      if (!url || seen.has(getUrlKey(url))) return;
+
+      seen.add(getUrlKey(url));
       if (this.shouldCrawlUrl(url)) {
         links.push(url);
       }
@@ -221,13 +592,156 @@ export default class PlaywrightBaseCrawler {
    * @param {Object} $ - Cheerio instance
    * @param {string} url - Current page URL
    * @param {Object} page - Playwright page object (for browser context extraction)
+   * @param {Array<Object>} responses - JSON responses captured while loading the page
    * @returns {Promise<Array>} - Extracted data
    */
-  async extractData($, url, page = null) {
+  async extractData($, url, page = null, responses = []) {
     // Override this method in subclasses
     return [];
   }
 
+  /**
+   * Extract a study record from a rendered study page with the crawler's
+   * StudyPageExtractor
+   * @param {Object} page - Playwright page object
+   * @param {string} url - Study page URL
+   * @param {Array<Object>} responses - JSON responses captured while loading the page
+   * @returns {Promise<Object|null>} - Study record, or null if extraction failed
+   */
+  async extractStudyPageData(page, url, responses = []) {
+    if (!this.studyPageExtractor) {
+      throw new Error(`${this.constructor.name} has no studyPageExtractor`);
+    }
+
+    return this.studyPageExtractor.extract(page, url, responses);
+  }
+
+  /**
+   * Extract the study cards of a rendered search page as listings. Each
+   * programme is kept once per crawl, from the first page it appeared on.
+   * @param {Object} page - Playwright page object
+   * @param {string} url - Search page URL
+   * @returns {Promise<Array<Object>>} - Listings not seen earlier in this crawl
+   */
+  async extractListings(page, url) {
+    const listings = await this.searchPageExtractor.extract(page, url);
+    const newListings = listings.filter(
+      (listing) => !this.listings.has(listing.studyId)
+    );
+
+    if (this.abandoned) return [];
+
+    newListings.forEach((listing) => this.listings.set(listing.studyId, listing));
+    if (newListings.length > 0) {
+      this.saveListings(newListings);
+    }
+
+    return newListings;
+  }
+
+  /**
+   * Write new listings to the crawler's output - to be overridden by
+   * subclasses (listings are kept in getResults() either way)
+   * @param {Array<Object>} listings - Listings from extractListings()
+   */
+  saveListings(listings) {}
+
+  /**
+   * Read the output of previous runs before a fresh crawl updates it, for
+   * change reports - to be overridden by subclasses that write per-crawl
+   * output. Kept in the checkpoint, so a resumed crawl is still compared
+   * with the output as it was before its first run.
+   * @returns {Array<Object>|null} - Previous rows, or null
+   */
+  readPreviousOutput() {
+    return null;
+  }
+
+  /**
+   * Write buffered outputs to disk - to be overridden by subclasses that
+   * buffer writes. Called before every checkpoint and at the end of a crawl,
+   * so the files are never behind the checkpoint.
+   */
+  flushOutputs() {}
+
+  /**
+   * flushOutputs(), logging instead of throwing so a write error can't
+   * keep the checkpoint from being saved or the browser from closing
+   */
+  flushOutputsSafely() {
+    try {
+      this.flushOutputs();
+    } catch (error) {
+      console.error(`✗ Failed to write outputs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listings whose study page produced no record in this crawl, with why:
+   * the failure type, 'no-record' (loaded but nothing extracted) or
+   * 'not-crawled' (never reached, e.g. maxCrawlLength)
+   * @returns {Array<Object>} - { studyId, title, university, studyUrl, reason }
+   */
+  getListingsWithoutStudy() {
+    if (this.indexOnly) return [];
+
+    const extractedIds = new Set(
+      this.extractedData.map((item) => getStudyIdFromUrl(item.sourceUrl))
+    );
+    const failureById = new Map(
+      Array.from(this.failedUrls.values(), (failure) => [
+        getStudyIdFromUrl(failure.url),
+        failure,
+      ])
+    );
+    const visitedIds = new Set(
+      Array.from(this.visitedUrls, (url) => getStudyIdFromUrl(url))
+    );
+
+    return Array.from(this.listings.values())
+      .filter(({ studyId }) => !extractedIds.has(studyId))
+      .map(({ studyId, title, university, studyUrl }) => ({
+        studyId,
+        title,
+        university,
+        studyUrl,
+        reason:
+          failureById.get(studyId)?.type ||
+          (visitedIds.has(studyId) ? "no-record" : "not-crawled"),
+      }));
+  }
+
+  /**
+   * Post-process an extracted record before it is stored and written out.
+   * Adds the page's discovery lineage (referrer, depth, discovery time),
+   * reconciles the campus location with the crawl's country context and
+   * converts tuition fees into the reporting currency when one is configured.
+   * @param {Object} record - Extracted record
+   * @returns {Object} - Processed record
+   */
+  postProcessRecord(record) {
+    const countryContext = this.getCountryContext(record.sourceUrl);
+    const processed = {
+      ...record,
+      ...reconcileCountry(record, countryContext),
+      ...this.getLineage(record.sourceUrl),
+    };
+
+    if (processed.countryMismatch) {
+      console.warn(
+        `  ⚠️  Campus location "${processed.country}" is outside the crawl country ${countryContext}`
+      );
+    }
+
+    if (!this.reportingCurrency) return processed;
+
+    return convertTuitionFees(
+      processed,
+      this.reportingCurrency,
+      this.exchangeRates
+    );
+  }
+
   /**
    * Process a single page
    * @param {string} url - URL to process
@@ -235,7 +749,7 @@ export default class PlaywrightBaseCrawler {
   async processPage(url) {
     // Determine page type
     const isStudyPage = /\/studies\/\d+\//.test(url);
-    const isSearchPage = /\/search\/(master|bachelor)/.test(url);
+    const isSearchPage = isPortalSearchUrl(url);
     const pageType = isStudyPage
       ? "[STUDY]"
       : isSearchPage
@@ -251,13 +765,21 @@ export default class PlaywrightBaseCrawler {
 
     let page = null;
     try {
-      const { html, page: playwrightPage } = await this.fetchPage(url);
+      const {
+        html,
+        page: playwrightPage,
+        responses,
+      } = await this.fetchPageWithRetry(url);
       page = playwrightPage;
       console.log(`  📄 HTML length: ${html.length} chars`);
+      if (responses.length > 0) {
+        console.log(`  📡 JSON responses captured: ${responses.length}`);
+      }
       const $ = cheerio.load(html);
 
       // Extract data from page
-      const data = await this.extractData($, url, page);
+      const data = await this.extractData($, url, page, responses);
+      if (this.abandoned) return;
       if (data && data.length > 0) {
         this.extractedData.push(...data);
         console.log(`\n✓ Found ${data.length} items on this page`);
@@ -284,24 +806,40 @@ export default class PlaywrightBaseCrawler {
           console.log(`\n  ... and ${data.length - 3} more items`);
         }
 
+        // Values the parsers couldn't understand are reported, not kept silently
+        data.forEach((item) => {
+          (item.parseIssues || []).forEach((issue) => {
+            console.warn(`  ⚠️  Parse issue (${issue.field}): ${issue.message}`);
+          });
+        });
+
         console.log(
           `\n📈 Total extracted so far: ${this.extractedData.length}`
         );
-      } else {
+      } else if (!isSearchPage) {
         console.log(`\nℹ️  No items found on this page`);
       }
 
+      // Search result cards become listings
+      if (isSearchPage && page && this.searchPageExtractor) {
+        const listings = await this.extractListings(page, url);
+        console.log(
+          `\n🗂️  Listings on this page: ${listings.length} new (${this.listings.size} total)`
+        );
+      }
+
       // Extract links
-      const links = this.extractLinks(html);
+      const links = this.extractLinks(html, url);
       if (links.length > 0) {
-        this.urlsToVisit.push(...links);
+        links.forEach((link) => {
+          this.recordDiscovery(link, url);
+          this.frontier.add(link, { referrer: url });
+        });
         console.log(`\n✓ Found ${links.length} new links to crawl`);
 
         // Categorize links
         const studyLinks = links.filter((l) => /\/studies\/\d+\//.test(l));
-        const searchLinks = links.filter((l) =>
-          /\/search\/(master|bachelor)/.test(l)
-        );
+        const searchLinks = links.filter((l) => isPortalSearchUrl(l));
 
         if (studyLinks.length > 0) {
           console.log(`  - Study pages: ${studyLinks.length}`);
@@ -318,7 +856,7 @@ export default class PlaywrightBaseCrawler {
         }
       }
 
-      console.log(`\n📋 Queue size: ${this.urlsToVisit.length}`);
+      console.log(`\n📋 Queue size: ${this.frontier.size}`);
       console.log(
         `⏱️  Waiting ${Math.floor(
           this.requestDelay / 1000
@@ -328,8 +866,15 @@ export default class PlaywrightBaseCrawler {
       // Rate limiting with random variance
       const variance = Math.floor(Math.random() * 1000);
       await this.delay(this.requestDelay + variance);
+      if (this.abandoned) return;
+      this.failedUrls.delete(url);
+      this.consecutiveBlocks = 0;
     } catch (error) {
-      console.error(`\n✗ Error: ${error.message}\n`);
+      // A page given up on at shutdown stays queued in the checkpoint
+      if (this.abandoned) return;
+      this.recordFailure(url, error);
+      const { type } = this.failedUrls.get(url);
+      console.error(`\n✗ Error (${type}): ${error.message}\n`);
     } finally {
       // Always close the page to avoid memory leaks
       if (page) {
@@ -355,33 +900,344 @@ export default class PlaywrightBaseCrawler {
     console.log(`Starting ${this.constructor.name}...`);
     console.log(`Target: ${this.targetUrl}`);
     console.log(`Max pages to crawl: ${this.maxCrawlLength}`);
+    const budgets = this.describeBudgets();
+    if (budgets) console.log(`Budgets: ${budgets}`);
     console.log(`Using Playwright (browser automation)\n`);
 
-    await this.initBrowser();
+    // A resumed crawl has already written part of its output, so the
+    // snapshot taken before its first run comes from the checkpoint
+    const resumed = this.restoreFromCheckpoint();
+    if (!resumed || !this.previousRows) {
+      this.previousRows = this.readPreviousOutput();
+    }
+    this.startedAt = Date.now();
+    this.stopReason = null;
+    this.interrupted = false;
+    this.abandoned = false;
 
-    try {
-      while (
-        this.urlsToVisit.length > 0 &&
-        this.crawledCount < this.maxCrawlLength
-      ) {
-        const currentUrl = this.urlsToVisit.shift();
+    await this.initBrowser();
 
-        if (this.visitedUrls.has(currentUrl)) {
-          continue;
-        }
+    console.log(`Concurrent pages: ${this.concurrency}\n`);
 
-        this.visitedUrls.add(currentUrl);
-        this.crawledCount++;
+    const stopOnSignal = onShutdown((signal) => this.stop(signal));
+    let completed = false;
+    try {
+      const workers = Array.from({ length: this.concurrency }, (_, i) =>
+        this.runWorker(i + 1)
+      );
+      // After stop(), pages in flight get shutdownTimeout ms to finish
+      const outcomes = await Promise.race([
+        Promise.allSettled(workers),
+        new Promise((resolve) => (this.abandonWorkers = resolve)),
+      ]);
+      if (!outcomes) {
+        console.log(
+          `\n⚠️  Gave up on ${this.inFlightUrls.size} pages in flight, they stay queued for the next run`
+        );
+      }
+      const failure = outcomes?.find((o) => o.status === "rejected");
+      if (failure) throw failure.reason;
 
-        await this.processPage(currentUrl);
+      // A stopped crawl keeps its checkpoint, so the next run resumes it.
+      // Workers also end when the queue runs dry; set-aside search pages
+      // mean the search page budget cut the crawl short
+      if (!this.interrupted) {
+        this.stopReason =
+          this.stopReason ||
+          (this.setAsideUrls.length > 0 ? "maxSearchPages" : "completed");
+        completed = true;
       }
     } finally {
+      stopOnSignal();
+      clearTimeout(this.shutdownTimer);
+      // A finished crawl starts fresh next time; an interrupted one resumes
+      if (completed) {
+        this.flushOutputsSafely();
+        this.clearCheckpoint();
+      } else {
+        this.saveCheckpoint();
+      }
       await this.closeBrowser();
     }
 
     return this.getResults();
   }
 
+  /**
+   * Worker loop: pull URLs from the shared queue until it is drained or the
+   * page limit is reached. Several workers run side by side on one context.
+   * @param {number} workerId - Worker number (for logging)
+   */
+  async runWorker(workerId) {
+    while (!this.stopReason) {
+      const budget = this.getExhaustedBudget();
+      if (budget) {
+        // Pages already in flight are finished by their workers
+        this.stopReason = budget;
+        console.log(`\n🛑 Budget reached (${budget}), no new pages are started`);
+        return;
+      }
+
+      const currentUrl = this.takeNextUrl();
+
+      if (!currentUrl) {
+        // Queue is empty, but pages still in flight may add new links
+        if (this.inFlightUrls.size === 0) return;
+        await this.delay(250);
+        continue;
+      }
+
+      this.inFlightUrls.add(currentUrl);
+      try {
+        await this.waitForHostSlot(currentUrl);
+        if (this.interrupted) {
+          // Stopped while waiting for a request slot: leave it for the next run
+          this.visitedUrls.delete(currentUrl);
+          this.crawledCount--;
+          if (isPortalSearchUrl(currentUrl)) this.searchPagesCrawled--;
+          this.setAsideUrls.push(currentUrl);
+          return;
+        }
+        if (this.concurrency > 1) {
+          console.log(`\n[worker ${workerId}] → ${currentUrl}`);
+        }
+        await this.processPage(currentUrl);
+      } finally {
+        this.inFlightUrls.delete(currentUrl);
+      }
+
+      // crawl() saves the final checkpoint of a stopped crawl
+      this.pagesSinceCheckpoint++;
+      if (
+        this.pagesSinceCheckpoint >= this.checkpointInterval &&
+        !this.interrupted
+      ) {
+        this.pagesSinceCheckpoint = 0;
+        this.saveCheckpoint();
+      }
+    }
+  }
+
+  /**
+   * Take the next unvisited URL off the queue and count it against the limit.
+   * Runs synchronously, so concurrent workers can never claim the same URL
+   * or overshoot maxCrawlLength.
+   * @returns {string|null} - URL to crawl, or null if the queue is empty
+   */
+  takeNextUrl() {
+    let url = this.frontier.next();
+
+    // Search pages over the maxSearchPages budget are set aside
+    while (
+      url &&
+      this.searchPagesCrawled >= this.maxSearchPages &&
+      isPortalSearchUrl(url)
+    ) {
+      this.setAsideUrls.push(url);
+      url = this.frontier.next();
+    }
+    if (!url) return null;
+
+    if (isPortalSearchUrl(url)) this.searchPagesCrawled++;
+    this.visitedUrls.add(url);
+    this.crawledCount++;
+    return url;
+  }
+
+  /**
+   * Stop the crawl from outside (crawl() calls this on SIGINT/SIGTERM): no
+   * new pages are started, pages in flight get shutdownTimeout ms to finish,
+   * and crawl() then saves a checkpoint and returns the results so far
+   * @param {string} reason - Reported as results.stopReason (default: 'stopped')
+   */
+  stop(reason = "stopped") {
+    if (this.interrupted) return;
+
+    this.interrupted = true;
+    this.stopReason = reason;
+    console.log(
+      `\n🛑 Stopping crawl (${reason}): waiting up to ${Math.round(
+        this.shutdownTimeout / 1000
+      )}s for ${this.inFlightUrls.size} pages in flight`
+    );
+
+    this.shutdownTimer = setTimeout(
+      () => {
+        // Workers still running must not touch results or outputs any more
+        this.abandoned = true;
+        this.abandonWorkers?.(null);
+      },
+      this.shutdownTimeout
+    );
+    this.shutdownTimer.unref();
+  }
+
+  /**
+   * Name of the crawl budget that is used up, if any. maxSearchPages is not
+   * checked here: it only holds back search pages (see takeNextUrl).
+   * @returns {string|null} - 'maxCrawlLength', 'maxDuration' or 'maxRecords'
+   */
+  getExhaustedBudget() {
+    if (this.crawledCount >= this.maxCrawlLength) return "maxCrawlLength";
+    if (this.startedAt && Date.now() - this.startedAt >= this.maxDuration) {
+      return "maxDuration";
+    }
+    if (this.extractedData.length >= this.maxRecords) return "maxRecords";
+    return null;
+  }
+
+  /**
+   * Human-readable list of the budgets set besides maxCrawlLength
+   * @returns {string} - e.g. "45 min, 500 records" (empty if none)
+   */
+  describeBudgets() {
+    return [
+      Number.isFinite(this.maxDuration) &&
+        `${Math.round(this.maxDuration / 60000)} min`,
+      Number.isFinite(this.maxRecords) && `${this.maxRecords} records`,
+      Number.isFinite(this.maxSearchPages) &&
+        `${this.maxSearchPages} search pages`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /**
+   * Per-host politeness: reserve the next request slot for the URL's host so
+   * that request starts to the same host are at least requestDelay apart,
+   * whatever the number of workers
+   * @param {string} url - URL about to be fetched
+   */
+  async waitForHostSlot(url) {
+    await this.waitForBlockPause();
+
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.hostNextRequestAt.get(host) || 0);
+    this.hostNextRequestAt.set(host, slot + this.requestDelay);
+
+    if (slot > now) {
+      await this.delay(slot - now);
+    }
+  }
+
+  /**
+   * Persist the frontier, visited set and extracted data to the checkpoint file
+   */
+  saveCheckpoint() {
+    this.flushOutputsSafely();
+    if (!this.checkpointEnabled) return;
+
+    // Pages still being processed are saved as unvisited so they are retried
+    const inFlight = Array.from(this.inFlightUrls);
+
+    try {
+      writeCheckpointFile(this.checkpointFile, {
+        crawler: this.constructor.name,
+        targetUrl: this.targetUrl,
+        startUrls: this.startUrls,
+        indexOnly: this.indexOnly,
+        crawledCount: this.crawledCount - inFlight.length,
+        urlsToVisit: [
+          ...inFlight,
+          ...this.frontier.toArray(),
+          ...this.setAsideUrls,
+        ],
+        visitedUrls: Array.from(this.visitedUrls).filter(
+          (url) => !this.inFlightUrls.has(url)
+        ),
+        extractedData: this.extractedData,
+        failedUrls: Array.from(this.failedUrls.values()),
+        listings: Array.from(this.listings.values()),
+        urlLineage: Array.from(this.urlLineage.entries()),
+        previousRows: this.previousRows,
+      });
+      console.log(`💾 Checkpoint saved (${this.crawledCount} pages crawled)`);
+    } catch (error) {
+      console.error(`✗ Failed to save checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resume crawl state from the checkpoint file, if one exists
+   * @returns {boolean} - True if state was restored
+   */
+  restoreFromCheckpoint() {
+    if (!this.checkpointEnabled) return false;
+
+    const state = readCheckpointFile(this.checkpointFile);
+    if (!state || state.targetUrl !== this.targetUrl) return false;
+
+    // A crawl from other start URLs (e.g. a failed-page re-crawl) is a
+    // different crawl; older checkpoints without startUrls only match the default
+    const otherStart = state.startUrls
+      ? !sameStartUrls(state.startUrls, this.startUrls)
+      : this.customStartUrls;
+    if (otherStart) {
+      console.log(
+        `⚠️  Ignoring checkpoint ${this.checkpointFile}: it was saved for other start URLs`
+      );
+      return false;
+    }
+
+    // An index-only crawl never queues study pages, so a full crawl resumed
+    // from its state would skip every programme (and vice versa)
+    if ((state.indexOnly === true) !== this.indexOnly) {
+      console.log(
+        `⚠️  Ignoring checkpoint ${this.checkpointFile}: it was saved by ${
+          state.indexOnly ? "an index-only" : "a full"
+        } crawl`
+      );
+      return false;
+    }
+
+    this.crawledCount = state.crawledCount || 0;
+    this.urlLineage = new Map(state.urlLineage || []);
+    this.frontier = new Frontier([], { policy: this.frontierPolicy });
+    this.visitedUrls = new Set(state.visitedUrls || []);
+    this.visitedUrls.forEach((url) => this.frontier.markVisited(url));
+    this.searchPagesCrawled = Array.from(this.visitedUrls).filter((url) =>
+      isPortalSearchUrl(url)
+    ).length;
+    // Referrers from the lineage keep round-robin grouping across a resume
+    (state.urlsToVisit || []).forEach((url) =>
+      this.frontier.add(url, { referrer: this.getLineage(url).discoveredFrom })
+    );
+    this.extractedData = state.extractedData || [];
+    this.failedUrls = new Map(
+      (state.failedUrls || []).map((failure) => [failure.url, failure])
+    );
+    this.listings = new Map(
+      (state.listings || []).map((listing) => [listing.studyId, listing])
+    );
+    this.previousRows = state.previousRows || null;
+
+    console.log(`♻️  Resuming from checkpoint saved at ${state.savedAt}`);
+    console.log(
+      `   ${this.crawledCount} pages crawled, ${this.frontier.size} URLs queued\n`
+    );
+    return true;
+  }
+
+  /**
+   * Remove the checkpoint file
+   */
+  clearCheckpoint() {
+    if (!this.checkpointEnabled) return;
+
+    try {
+      removeCheckpointFile(this.checkpointFile);
+    } catch (error) {
+      console.error(`✗ Failed to remove checkpoint: ${error.message}`);
+    }
+  }
+
   /**
    * Get crawl results
    * @returns {Object} - Results object
@@ -390,14 +1246,106 @@ export default class PlaywrightBaseCrawler {
     console.log("\n=== Crawl Complete ===");
     console.log(`Total pages crawled: ${this.crawledCount}`);
     console.log(`Total unique URLs found: ${this.visitedUrls.size}`);
-    console.log(`URLs in queue: ${this.urlsToVisit.length}`);
+    console.log(`URLs in queue: ${this.frontier.size}`);
     console.log(`Data items extracted: ${this.extractedData.length}`);
+    if (this.stopReason) {
+      const elapsed = Math.round((Date.now() - this.startedAt) / 1000);
+      console.log(`Stopped by: ${this.stopReason} (after ${elapsed}s)`);
+    }
+
+    const parseIssues = this.extractedData.flatMap((item) =>
+      (item.parseIssues || []).map((issue) => ({
+        sourceUrl: item.sourceUrl,
+        ...issue,
+      }))
+    );
+    if (parseIssues.length > 0) {
+      console.log(`Unparsed values: ${parseIssues.length}`);
+    }
+
+    const countryMismatches = this.extractedData.filter(
+      (item) => item.countryMismatch === true
+    ).length;
+    if (countryMismatches > 0) {
+      console.log(`Campus outside the crawl country: ${countryMismatches}`);
+    }
+
+    if (this.blockEvents.length > 0) {
+      const byKind = {};
+      this.blockEvents.forEach(({ kind }) => (byKind[kind] = (byKind[kind] || 0) + 1));
+      console.log(
+        `Block events: ${this.blockEvents.length} (${Object.entries(byKind)
+          .map(([kind, count]) => `${kind}: ${count}`)
+          .join(", ")}), context rotations: ${this.contextRotations}`
+      );
+    }
+
+    const blockedRequests = this.requestBlocker?.getStats() || null;
+    if (blockedRequests?.blocked > 0) {
+      console.log(
+        `Requests blocked: ${blockedRequests.blocked} of ${
+          blockedRequests.blocked + blockedRequests.allowed
+        } (${Object.entries(blockedRequests.byResourceType)
+          .map(([type, count]) => `${type}: ${count}`)
+          .join(", ")})`
+      );
+    }
+
+    const failedUrls = Array.from(this.failedUrls.values());
+    if (failedUrls.length > 0) {
+      const byType = {};
+      failedUrls.forEach(({ type }) => (byType[type] = (byType[type] || 0) + 1));
+      console.log(
+        `Failed pages: ${failedUrls.length} (${Object.entries(byType)
+          .map(([type, count]) => `${type}: ${count}`)
+          .join(", ")})`
+      );
+    }
+
+    const pagesByDepth = {};
+    this.visitedUrls.forEach((url) => {
+      const depth = this.getLineage(url).discoveryDepth ?? "?";
+      pagesByDepth[depth] = (pagesByDepth[depth] || 0) + 1;
+    });
+    if (this.visitedUrls.size > 0) {
+      console.log(
+        `Pages by discovery depth: ${Object.entries(pagesByDepth)
+          .map(([depth, count]) => `${depth}: ${count}`)
+          .join(", ")}`
+      );
+    }
+
+    const listingsWithoutStudy = this.getListingsWithoutStudy();
+    if (this.listings.size > 0) {
+      console.log(
+        `Listings: ${this.listings.size}` +
+          (this.indexOnly
+            ? " (index only)"
+            : `, without a study record: ${listingsWithoutStudy.length}`)
+      );
+    }
 
     return {
       crawledCount: this.crawledCount,
       visitedUrls: Array.from(this.visitedUrls),
-      remainingUrls: this.urlsToVisit,
-      extractedData: this.extractedData,
+      remainingUrls: [
+        ...this.inFlightUrls,
+        ...this.frontier.toArray(),
+        ...this.setAsideUrls,
+      ],
+      extractedData: [...this.extractedData],
+      parseIssues,
+      failedUrls,
+      blockEvents: [...this.blockEvents],
+      contextRotations: this.contextRotations,
+      blockedRequests,
+      listings: Array.from(this.listings.values()),
+      listingsWithoutStudy,
+      pagesByDepth,
+      urlLineage: Object.fromEntries(this.urlLineage),
+      stopReason: this.stopReason,
+      searchPagesCrawled: this.searchPagesCrawled,
+      previousRows: this.previousRows,
     };
   }
 
@@ -405,9 +1353,27 @@ export default class PlaywrightBaseCrawler {
    * Reset crawler state
    */
   reset() {
-    this.urlsToVisit = [this.targetUrl];
+    this.frontier = new Frontier(this.startUrls, { policy: this.frontierPolicy });
     this.visitedUrls = new Set();
+    this.inFlightUrls = new Set();
     this.crawledCount = 0;
     this.extractedData = [];
+    this.hostNextRequestAt = new Map();
+    this.pagesSinceCheckpoint = 0;
+    this.failedUrls = new Map();
+    this.blockEvents = [];
+    this.consecutiveBlocks = 0;
+    this.blockedUntil = 0;
+    this.contextRotations = 0;
+    this.listings = new Map();
+    this.urlLineage = new Map();
+    this.startUrls.forEach((url) => this.recordDiscovery(url, null));
+    this.searchPagesCrawled = 0;
+    this.setAsideUrls = [];
+    this.previousRows = null;
+    this.startedAt = null;
+    this.stopReason = null;
+    this.interrupted = false;
+    this.abandoned = false;
   }
 }
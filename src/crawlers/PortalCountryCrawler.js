@@ -0,0 +1,155 @@
+import PlaywrightBaseCrawler from "./PlaywrightBaseCrawler.js";
+import StudyPageExtractor from "../extractors/StudyPageExtractor.js";
+import SearchPageExtractor from "../extractors/SearchPageExtractor.js";
+import { mergeWaitStrategies } from "../utils/waitForPageReady.js";
+import {
+  upsertCountryCSV,
+  flushCountryCSV,
+  readCountryCSV,
+} from "../utils/csvWriterByCountry.js";
+import {
+  upsertListingsCSV,
+  flushListingsCSV,
+} from "../utils/listingsWriter.js";
+import { getCountryKeyByLabel } from "../utils/countryContext.js";
+import { getPortal, getPortalSearchUrl } from "../utils/portals.js";
+import {
+  getFilterParamNames,
+  toSearchParams,
+  buildFilteredSearchUrl,
+  matchesSearchParams,
+} from "../utils/searchFilters.js";
+
+/**
+ * Country crawler for any portal in PORTAL_REGISTRY (Masters, Bachelors,
+ * PhD, short courses, ...)
+ * Uses Playwright to bypass Cloudflare and anti-bot protection
+ */
+export default class PortalCountryCrawler extends PlaywrightBaseCrawler {
+  /**
+   * @param {Object} config - Configuration object (see PlaywrightBaseCrawler)
+   * @param {string} config.portalType - Key of PORTAL_REGISTRY (default: 'masters')
+   * @param {string} config.countryLabel - URL-safe country label, e.g. 'germany' (empty: all countries)
+   * @param {Object} config.filters - Search filters, e.g. { discipline: 'computer-science', studyMode: 'online' }
+   *   (see SEARCH_FILTER_PARAMS); only search pages with these filters are crawled
+   */
+  constructor(config = {}) {
+    const portal = getPortal(config.portalType || "masters");
+    const countryLabel = config.countryLabel || "";
+    const searchParams = toSearchParams(
+      config.filters,
+      getFilterParamNames(portal)
+    );
+
+    super({
+      ...config,
+      baseUrl: portal.baseUrl,
+      targetUrl: buildFilteredSearchUrl(
+        getPortalSearchUrl(portal.portalType, countryLabel),
+        searchParams
+      ),
+      maxCrawlLength: config.maxCrawlLength || 50,
+      requestDelay: config.requestDelay || 2000,
+      headless: config.headless !== false,
+      waitStrategies: mergeWaitStrategies(
+        portal.waitStrategies,
+        config.waitStrategies
+      ),
+      studyPageExtractor:
+        config.studyPageExtractor ||
+        StudyPageExtractor.forPortal(portal.portalType),
+      searchPageExtractor:
+        config.searchPageExtractor ||
+        SearchPageExtractor.forPortal(portal.portalType),
+    });
+
+    this.portal = portal;
+    this.countryLabel = countryLabel;
+    this.portalType = portal.portalType;
+    this.filters = Object.keys(searchParams).length ? config.filters : null;
+    this.searchParams = searchParams;
+  }
+
+  /**
+   * Country context from the discovering search page, falling back to the
+   * crawled country for pages without one (e.g. start URLs from a retry run)
+   */
+  getCountryContext(url) {
+    return (
+      super.getCountryContext(url) || getCountryKeyByLabel(this.countryLabel)
+    );
+  }
+
+  async extractData($, url, page = null, responses = []) {
+    const isStudyPage = /\/studies\/\d+\//.test(url);
+
+    if (isStudyPage && page) {
+      const extracted = await this.extractStudyPageData(page, url, responses);
+      const data = extracted && this.postProcessRecord(extracted);
+
+      // A page given up on at shutdown is not written after the final checkpoint
+      if (data && !this.abandoned) {
+        // Save to country-specific CSV
+        upsertCountryCSV(data, this.portalType, this.countryLabel);
+
+        return [data];
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Rows of the country CSV before this crawl (index-only crawls write none)
+   */
+  readPreviousOutput() {
+    if (this.indexOnly) return null;
+    return readCountryCSV(this.portalType, this.countryLabel);
+  }
+
+  /**
+   * Write the programmes and listings upserted since the last flush to the
+   * country's CSV files
+   */
+  flushOutputs() {
+    flushCountryCSV(this.portalType, this.countryLabel);
+    flushListingsCSV(this.portalType, this.countryLabel);
+  }
+
+  /**
+   * Add search-card listings to the country's listings CSV (written by
+   * flushOutputs)
+   */
+  saveListings(listings) {
+    upsertListingsCSV(listings, this.portalType, this.countryLabel);
+  }
+
+  /**
+   * URL filtering logic
+   */
+  shouldCrawlUrl(url) {
+    if (!super.shouldCrawlUrl(url)) return false;
+
+    const cleanUrl = url.split("#")[0].split("?")[0];
+
+    const isStudyPage = /\/studies\/\d+\/[^/]+\.html/.test(cleanUrl);
+    const isSearchPage =
+      cleanUrl.includes(`/search/${this.portal.searchSegment}`) &&
+      (cleanUrl.includes(`/${this.countryLabel}`) || !this.countryLabel);
+
+    if (isStudyPage) return true;
+
+    if (isSearchPage) {
+      return matchesSearchParams(url, this.searchParams);
+    }
+
+    return false;
+  }
+
+  /**
+   * Crawl results, plus the search filters the crawl was limited to
+   */
+  getResults() {
+    return { ...super.getResults(), filters: this.filters };
+  }
+}
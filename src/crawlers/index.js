@@ -12,3 +12,9 @@ export { default as BachelorsPortalCrawler } from "./BachelorsPortalCrawler.js";
 export { default as PlaywrightBaseCrawler } from "./PlaywrightBaseCrawler.js";
 export { default as MastersPortalPlaywrightCrawler } from "./MastersPortalPlaywrightCrawler.js";
 export { default as BachelorsPortalPlaywrightCrawler } from "./BachelorsPortalPlaywrightCrawler.js";
+
+// Country crawlers (any portal in src/constants/portal_registry.js)
+export { default as PortalCountryCrawler } from "./PortalCountryCrawler.js";
+export { default as MastersPortalCountryCrawler } from "./MastersPortalCountryCrawler.js";
+export { default as BachelorsPortalCountryCrawler } from "./BachelorsPortalCountryCrawler.js";
+export { default as CountryDiscoveryCrawler } from "./CountryDiscoveryCrawler.js";
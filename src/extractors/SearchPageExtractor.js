@@ -0,0 +1,131 @@
+import { getPortal } from "../utils/portals.js";
+
+/**
+ * DOM selectors of the study cards on a StudyPortals search page. Cards are
+ * found from their study link; the other fields are read inside the card.
+ */
+export const DEFAULT_SEARCH_PAGE_SELECTORS = {
+  studyLink: 'a[href*="/studies/"]',
+  card: "article, li, [class*='StudyCard'], [class*='SearchStudy']",
+  title: "h2, h3, [class*='StudyName'], [class*='StudyTitle']",
+  university: "[class*='OrganisationName'], [class*='Organisation']",
+  location: "[class*='Location']",
+  fee: "[class*='TuitionFee'], [class*='Fee']",
+  duration: "[class*='Duration']",
+  featured: "[class*='Premium'], [class*='Featured'], [class*='Sponsored'], [class*='Promoted']",
+};
+
+/**
+ * Extracts lightweight listing records from the study cards of a search
+ * page: what the portal shows about a programme without visiting it.
+ */
+export default class SearchPageExtractor {
+  /**
+   * @param {Object} options
+   * @param {string} options.portal - Portal domain stored on listings, e.g. 'mastersportal.com'
+   * @param {Object} options.selectors - Selector overrides, merged over DEFAULT_SEARCH_PAGE_SELECTORS
+   */
+  constructor(options = {}) {
+    this.portal = options.portal || null;
+    this.selectors = {
+      ...DEFAULT_SEARCH_PAGE_SELECTORS,
+      ...(options.selectors || {}),
+    };
+  }
+
+  /**
+   * Create the extractor for a registered portal
+   * @param {string} portalType - Key of PORTAL_REGISTRY ('masters', 'phd', ...)
+   * @param {Object} overrides - Options overriding the portal defaults
+   * @returns {SearchPageExtractor}
+   */
+  static forPortal(portalType, overrides = {}) {
+    const { domain } = getPortal(portalType);
+
+    return new SearchPageExtractor({ portal: domain, ...overrides });
+  }
+
+  /**
+   * Extract one listing per study card, in page order
+   * @param {Object} page - Playwright page with the search page loaded
+   * @param {string} url - Search page URL
+   * @returns {Promise<Array<Object>>} - Listing records (empty if none were found)
+   */
+  async extract(page, url) {
+    let cards = [];
+    try {
+      cards = await page.evaluate(readSearchCards, { selectors: this.selectors });
+    } catch (err) {
+      console.error(`❌ Search card extraction failed:`, err.message);
+      return [];
+    }
+
+    const searchPage = getSearchPageNumber(url);
+    const extractedAt = new Date().toISOString();
+
+    return cards.map((card, index) => ({
+      ...card,
+      position: index + 1,
+      searchPage,
+      searchUrl: url,
+      portal: this.portal,
+      extractedAt,
+    }));
+  }
+}
+
+/**
+ * Result page number from the ?page= parameter (1 when absent)
+ */
+function getSearchPageNumber(url) {
+  try {
+    return Number(new URL(url).searchParams.get("page")) || 1;
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * Runs inside the browser: read the study cards of a search page
+ * @param {Object} args - { selectors }
+ * @returns {Array<Object>} - Raw card fields, one entry per study
+ */
+function readSearchCards({ selectors: s }) {
+  const cards = [];
+  const seen = new Set();
+
+  const textOf = (root, selector) =>
+    root.querySelector(selector)?.textContent.replace(/\s+/g, " ").trim() ||
+    null;
+
+  document.querySelectorAll(s.studyLink).forEach((link) => {
+    const match = link.href.match(/\/studies\/(\d+)\//);
+    if (!match || seen.has(match[1])) return;
+    seen.add(match[1]);
+
+    const card = link.closest(s.card) || link;
+
+    cards.push({
+      studyId: match[1],
+      title:
+        textOf(card, s.title) ||
+        link.textContent.replace(/\s+/g, " ").trim() ||
+        null,
+      university: textOf(card, s.university),
+      location: textOf(card, s.location),
+      feeSnippet: textOf(card, s.fee),
+      duration: textOf(card, s.duration),
+      featured:
+        Boolean(card.querySelector(s.featured)) ||
+        // Badges without a class name: a bare "Featured" / "Sponsored" label
+        Array.from(card.querySelectorAll("span, small, div")).some(
+          (el) =>
+            el.children.length === 0 &&
+            /^(featured|sponsored|promoted)$/i.test(el.textContent.trim())
+        ),
+      studyUrl: link.href.split("#")[0].split("?")[0],
+    });
+  });
+
+  return cards;
+}
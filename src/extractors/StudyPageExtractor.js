@@ -0,0 +1,357 @@
+import { buildTuitionFeeFields } from "../utils/parseTuitionFee.js";
+import { buildDurationFields } from "../utils/parseDuration.js";
+import { parseIntakes } from "../utils/parseIntakes.js";
+import { getPortal } from "../utils/portals.js";
+import { PageFetchError } from "../utils/pageFetchError.js";
+import { DEFAULT_JSON_FIELD_PATHS, readStudyFromJson } from "./studyJson.js";
+
+/**
+ * DOM selectors of a StudyPortals study page. Portals share the same layout,
+ * so overrides are only needed where a portal differs.
+ */
+export const DEFAULT_STUDY_PAGE_SELECTORS = {
+  hero: "#Hero",
+  quickFacts: "#QuickFacts",
+  titleWrapper: ".StudyTitleWrapper",
+  university: ".OrganisationName",
+  courseName: ".StudyTitle",
+  programmeWebsite: ".ProgrammeWebsiteLink",
+  degreeTags: ".DegreeTags .Tag",
+  tuitionFee: ".TuitionFeeContainer",
+  tuitionFeeAmount: ".Title",
+  tuitionFeeCurrency: ".CurrencyType",
+  tuitionFeeUnit: ".Unit",
+  duration: ".js-duration",
+  quickFact: ".QuickFactComponent",
+  startDateIcon: ".QuickFactComponent .Label i.lnr-calendar-full",
+  deadlines: "#QuickFacts .QuickFactComponent, #StartDatesAndDeadlines",
+  englishRequirements: "#EnglishRequirements .CardContents.EnglishCardContents",
+  englishTestName: ".Heading",
+  englishTestScore: ".Score span",
+  otherRequirements: "#OtherRequirements h3 + ul li",
+};
+
+/**
+ * Extracts a programme record from a study page. Fields found in the JSON
+ * the page loaded (see captureJsonResponses) are preferred; the rendered
+ * DOM fills in the rest. One instance per portal; all crawlers share this
+ * code so selector fixes land in one place.
+ */
+export default class StudyPageExtractor {
+  /**
+   * @param {Object} options
+   * @param {string} options.portal - Portal domain stored on records, e.g. 'mastersportal.com'
+   * @param {string} options.label - Name used in log messages, e.g. 'master'
+   * @param {RegExp} options.degreeTypePattern - Matches the degree tag (e.g. "M.Sc.")
+   * @param {RegExp} options.studyModePattern - Matches the study mode tag (e.g. "On campus")
+   * @param {Object} options.selectors - Selector overrides, merged over DEFAULT_STUDY_PAGE_SELECTORS
+   * @param {Object} options.jsonFieldPaths - JSON path overrides, merged over DEFAULT_JSON_FIELD_PATHS
+   */
+  constructor(options = {}) {
+    this.portal = options.portal || null;
+    this.label = options.label || "study";
+    this.degreeTypePattern = options.degreeTypePattern || /Bachelor|Master|PhD/i;
+    this.studyModePattern =
+      options.studyModePattern || /campus|online|distance|blended/i;
+    this.selectors = {
+      ...DEFAULT_STUDY_PAGE_SELECTORS,
+      ...(options.selectors || {}),
+    };
+    this.jsonFieldPaths = {
+      ...DEFAULT_JSON_FIELD_PATHS,
+      ...(options.jsonFieldPaths || {}),
+    };
+  }
+
+  /**
+   * Create the extractor for a registered portal
+   * @param {string} portalType - Key of PORTAL_REGISTRY ('masters', 'phd', ...)
+   * @param {Object} overrides - Options overriding the portal defaults
+   * @returns {StudyPageExtractor}
+   */
+  static forPortal(portalType, overrides = {}) {
+    const { domain, label, degreeTypePattern } = getPortal(portalType);
+
+    return new StudyPageExtractor({
+      portal: domain,
+      label,
+      degreeTypePattern,
+      ...overrides,
+    });
+  }
+
+  /**
+   * Extract detailed data from an individual study page
+   * @param {Object} page - Playwright page with the study page loaded
+   * @param {string} url - Study page URL
+   * @param {Array<Object>} responses - JSON responses captured while loading the page
+   * @returns {Promise<Object|null>} - Study record, or null if extraction failed
+   * @throws {PageFetchError} - 'selector' failure when the page lacks the study
+   *   layout and no JSON describes the study
+   */
+  async extract(page, url, responses = []) {
+    console.log(`  Extracting detailed ${this.label} study page data...`);
+
+    const jsonRaw = readStudyFromJson(responses, url, this.jsonFieldPaths);
+    const hasJson = Boolean(jsonRaw?.courseName && jsonRaw?.university);
+
+    // The crawler's wait strategy has already waited for the content, so a
+    // missing section means the page isn't a regular study page
+    if (!hasJson) {
+      for (const selector of [this.selectors.hero, this.selectors.quickFacts]) {
+        await page.waitForSelector(selector, { timeout: 2000 }).catch(() => {
+          throw new PageFetchError(
+            "selector",
+            `Study page content not found (${selector})`,
+            { url }
+          );
+        });
+      }
+    }
+
+    let domRaw = null;
+    try {
+      domRaw = await page.evaluate(readStudyPage, {
+        selectors: this.selectors,
+        degreeTypePattern: toPatternArg(this.degreeTypePattern),
+        studyModePattern: toPatternArg(this.studyModePattern),
+      });
+    } catch (err) {
+      if (!hasJson) {
+        console.error(`❌ ${this.label} study page extraction failed:`, err.message);
+        return null;
+      }
+    }
+
+    const raw = mergeRawFields(domRaw, hasJson ? jsonRaw : null);
+    return {
+      ...this.buildRecord(raw, url),
+      extractionSource: hasJson ? (domRaw ? "json+dom" : "json") : "dom",
+    };
+  }
+
+  /**
+   * Turn the raw page texts into a study record: parse fees, duration and
+   * intakes, and add source metadata
+   * @param {Object} raw - Result of readStudyPage()
+   * @param {string} url - Study page URL
+   * @returns {Object} - Study record
+   */
+  buildRecord(raw, url) {
+    const {
+      feeParts,
+      durationContext,
+      intakeDetails,
+      deadlineTexts,
+      ...fields
+    } = raw;
+    const { parseIssues: feeIssues, ...feeFields } = buildTuitionFeeFields(
+      feeParts,
+      fields.duration
+    );
+    const durationFields = buildDurationFields(fields.duration, durationContext);
+    const { intakeDates, parseIssues: intakeIssues } = parseIntakes(
+      intakeDetails,
+      deadlineTexts
+    );
+
+    return {
+      ...fields,
+      ...feeFields,
+      ...durationFields,
+      intakeDates,
+      parseIssues: [...feeIssues, ...durationFields.parseIssues, ...intakeIssues],
+      sourceUrl: url,
+      portal: this.portal,
+      extractedAt: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Raw fields from the DOM, overridden by every field the JSON provides
+ * @param {Object|null} domRaw - Result of readStudyPage()
+ * @param {Object|null} jsonRaw - Result of readStudyFromJson()
+ * @returns {Object} - Raw fields
+ */
+function mergeRawFields(domRaw, jsonRaw) {
+  const raw = { ...(domRaw || {}) };
+
+  Object.entries(jsonRaw || {}).forEach(([field, value]) => {
+    if (value != null && value !== "") raw[field] = value;
+  });
+
+  return raw;
+}
+
+/**
+ * RegExp objects can't be passed into page.evaluate, so send source + flags
+ */
+function toPatternArg(regex) {
+  return { source: regex.source, flags: regex.flags };
+}
+
+/**
+ * Runs inside the browser: read the raw texts of a study page
+ * @param {Object} args - { selectors, degreeTypePattern, studyModePattern }
+ * @returns {Object} - Raw field values
+ */
+function readStudyPage({ selectors: s, degreeTypePattern, studyModePattern }) {
+  const result = {};
+  const degreeRegex = new RegExp(degreeTypePattern.source, degreeTypePattern.flags);
+  const modeRegex = new RegExp(studyModePattern.source, studyModePattern.flags);
+
+  /* ===========================
+     HERO SECTION
+  ============================ */
+  const hero = document.querySelector(s.hero);
+  const titleWrapper = hero?.querySelector(s.titleWrapper);
+
+  result.university =
+    titleWrapper?.querySelector(s.university)?.textContent.trim() || null;
+
+  result.courseName =
+    titleWrapper?.querySelector(s.courseName)?.innerText.trim() || null;
+
+  result.officialUniversityLink =
+    titleWrapper?.querySelector(s.programmeWebsite)?.href || null;
+
+  /* ===========================
+     DEGREE TYPE & STUDY MODE
+  ============================ */
+  let degreeType = null;
+  let studyMode = null;
+
+  document.querySelectorAll(s.degreeTags).forEach((tag) => {
+    const text = tag.textContent.trim();
+    if (degreeRegex.test(text)) degreeType = text;
+    if (modeRegex.test(text)) studyMode = text;
+  });
+
+  result.degreeType = degreeType;
+  result.studyMode = studyMode;
+
+  /* ===========================
+     TUITION FEES (INTERNATIONAL, EU, NATIONAL)
+  ============================ */
+  const feeParts = {};
+
+  document.querySelectorAll(s.tuitionFee).forEach((fee) => {
+    const target = fee.getAttribute("data-target") || "default";
+    if (feeParts[target]) return;
+
+    feeParts[target] = {
+      amount: fee.querySelector(s.tuitionFeeAmount)?.textContent.trim() || null,
+      currency:
+        fee.querySelector(s.tuitionFeeCurrency)?.textContent.trim() || null,
+      unit: fee.querySelector(s.tuitionFeeUnit)?.textContent.trim() || null,
+    };
+  });
+
+  const fee = feeParts.international;
+  result.tuitionFee =
+    fee?.amount && fee?.currency && fee?.unit
+      ? `${fee.amount} ${fee.currency} ${fee.unit}`
+      : null;
+  result.feeParts = feeParts;
+
+  /* ===========================
+     DURATION
+  ============================ */
+  const durationEl = document.querySelector(s.duration);
+  result.duration = durationEl?.textContent.trim() || null;
+
+  // Full-time / part-time is shown next to the duration or as a tag
+  result.durationContext =
+    [
+      durationEl?.closest(s.quickFact)?.textContent,
+      ...Array.from(
+        document.querySelectorAll(s.degreeTags),
+        (tag) => tag.textContent
+      ),
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .replace(/\s+/g, " ")
+      .trim() || null;
+
+  /* ===========================
+     START DATES
+  ============================ */
+  const intakes = [];
+  const intakeDetails = [];
+  document
+    .querySelectorAll(s.startDateIcon)[0]
+    ?.closest(s.quickFact)
+    ?.querySelectorAll("time")
+    ?.forEach((t) => {
+      intakes.push(t.textContent.trim());
+      intakeDetails.push({
+        text: t.textContent.trim(),
+        datetime: t.getAttribute("datetime"),
+      });
+    });
+
+  result.intakes = intakes;
+  result.intakeDetails = intakeDetails;
+
+  /* ===========================
+     APPLICATION DEADLINES
+  ============================ */
+  const deadlineTexts = [];
+  document.querySelectorAll(s.deadlines).forEach((comp) => {
+    if (/deadline|apply/i.test(comp.textContent)) {
+      deadlineTexts.push(comp.innerText);
+    }
+  });
+
+  result.deadlineTexts = deadlineTexts;
+
+  /* ===========================
+     ENGLISH REQUIREMENTS
+  ============================ */
+  const tests = new Map();
+
+  document.querySelectorAll(s.englishRequirements).forEach((card) => {
+    const name = card
+      .querySelector(s.englishTestName)
+      ?.textContent.replace(/\s+/g, " ")
+      .trim();
+
+    const score =
+      card
+        .querySelector(s.englishTestScore)
+        ?.textContent.replace(/[^0-9.]/g, "")
+        .trim() || null;
+
+    if (name && !tests.has(name)) {
+      tests.set(name, score);
+    }
+  });
+
+  result.languageRequirements = Object.fromEntries(tests);
+
+  /* ===========================
+     GENERAL REQUIREMENTS
+  ============================ */
+  const reqs = [];
+  document
+    .querySelectorAll(s.otherRequirements)
+    .forEach((li) => reqs.push(li.textContent.trim()));
+
+  result.generalRequirements = reqs.length ? reqs : null;
+
+  /* ===========================
+     COUNTRY / LOCATION
+  ============================ */
+  document
+    .querySelectorAll(`${s.quickFacts} ${s.quickFact}`)
+    .forEach((comp) => {
+      if (comp.textContent.includes("Campus location")) {
+        result.country =
+          comp.querySelector(".Value")?.textContent.trim() || null;
+      }
+    });
+
+  return result;
+}
@@ -0,0 +1,176 @@
+import { getStudyIdFromUrl } from "../utils/getStudyIdFromUrl.js";
+
+/**
+ * Where each study field may sit in the portal's JSON (dot paths, first hit
+ * wins). The raw field names match those scraped from the DOM.
+ */
+export const DEFAULT_JSON_FIELD_PATHS = {
+  courseName: ["title", "name"],
+  university: [
+    "organisation.title",
+    "organisation.name",
+    "organisation_name",
+    "university.name",
+    "institution.name",
+  ],
+  officialUniversityLink: ["programme_website", "programmeWebsite", "website"],
+  degreeType: ["degree.title", "degree.name", "degree_type", "degreeType", "degree"],
+  studyMode: ["delivery_method", "deliveryMethod", "study_mode", "studyMode"],
+  duration: ["duration.text", "duration_text", "durationText", "duration"],
+  country: ["country.name", "location.country.name", "location.country", "country"],
+  feeParts: ["tuition_fees", "tuitionFees", "tuition_fee", "tuition", "fees"],
+  intakeDetails: ["start_dates", "startDates", "intakes"],
+};
+
+// Objects nested deeper than this are not searched
+const MAX_DEPTH = 8;
+
+/**
+ * Read a dot path from an object
+ */
+function getPath(obj, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Find the object describing the study with the given ID anywhere in a JSON
+ * payload
+ */
+function findStudyObject(data, studyId, depth = 0) {
+  if (!data || typeof data !== "object" || depth > MAX_DEPTH) return null;
+
+  if (!Array.isArray(data)) {
+    const id = data.id ?? data.study_id ?? data.studyId;
+    if (id != null && String(id) === studyId && (data.title || data.name)) {
+      return data;
+    }
+  }
+
+  for (const value of Object.values(data)) {
+    const found = findStudyObject(value, studyId, depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Plain text of a scalar JSON value
+ */
+function toText(value) {
+  if (typeof value === "string") return value.trim() || null;
+  if (typeof value === "number") return String(value);
+  return null;
+}
+
+/**
+ * One fee as { amount, currency, unit } texts, like a .TuitionFeeContainer
+ */
+function toFeeText(fee) {
+  if (fee == null) return null;
+  if (typeof fee !== "object") return { amount: toText(fee), currency: null, unit: null };
+
+  const amount = toText(fee.amount ?? fee.value ?? fee.price);
+  if (!amount) return null;
+
+  return {
+    amount,
+    currency: toText(fee.currency ?? fee.currency_code ?? fee.currencyCode),
+    unit: toText(fee.unit ?? fee.period ?? fee.per),
+  };
+}
+
+/**
+ * Fee texts keyed by target ('international', 'eu', ...), from either a
+ * single fee, an object keyed by target or a list of fees with a target
+ */
+function toFeeParts(value) {
+  if (!value || typeof value !== "object") return null;
+
+  const single = toFeeText(value);
+  if (single && !Array.isArray(value)) return { international: single };
+
+  const entries = Array.isArray(value)
+    ? value.map((fee) => [
+        String(fee?.target ?? fee?.type ?? fee?.audience ?? "international").toLowerCase(),
+        fee,
+      ])
+    : Object.entries(value);
+
+  const parts = {};
+  entries.forEach(([target, fee]) => {
+    const text = toFeeText(fee);
+    if (text && !parts[target]) parts[target] = text;
+  });
+
+  return Object.keys(parts).length ? parts : null;
+}
+
+/**
+ * Start dates as { text, datetime }, like the <time> elements of the page
+ */
+function toIntakeDetails(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+
+  return value
+    .map((intake) =>
+      typeof intake === "object" && intake
+        ? {
+            text: toText(intake.text ?? intake.label ?? intake.date),
+            datetime: toText(intake.date ?? intake.start_date ?? intake.datetime),
+          }
+        : { text: toText(intake), datetime: null }
+    )
+    .filter((intake) => intake.text);
+}
+
+/**
+ * Read study fields from captured JSON responses
+ * @param {Array<Object>} responses - { url, status, data } from captureJsonResponses()
+ * @param {string} url - Study page URL (its study ID selects the JSON object)
+ * @param {Object} fieldPaths - Field -> dot paths (default: DEFAULT_JSON_FIELD_PATHS)
+ * @returns {Object|null} - Raw fields found (same names as the DOM scrape), or
+ *   null if no response describes the study
+ */
+export function readStudyFromJson(responses, url, fieldPaths = DEFAULT_JSON_FIELD_PATHS) {
+  const studyId = getStudyIdFromUrl(url);
+  if (!studyId || !responses?.length) return null;
+
+  let study = null;
+  for (const response of responses) {
+    study = findStudyObject(response.data, studyId);
+    if (study) break;
+  }
+  if (!study) return null;
+
+  const raw = {};
+  Object.entries(fieldPaths).forEach(([field, paths]) => {
+    for (const path of paths) {
+      const value = getPath(study, path);
+      const parsed =
+        field === "feeParts"
+          ? toFeeParts(value)
+          : field === "intakeDetails"
+          ? toIntakeDetails(value)
+          : toText(value);
+
+      if (parsed) {
+        raw[field] = parsed;
+        break;
+      }
+    }
+  });
+
+  if (raw.intakeDetails) {
+    raw.intakes = raw.intakeDetails.map((intake) => intake.text);
+  }
+
+  const fee = raw.feeParts?.international;
+  if (fee?.amount && fee?.currency && fee?.unit) {
+    raw.tuitionFee = `${fee.amount} ${fee.currency} ${fee.unit}`;
+  }
+
+  return raw;
+}
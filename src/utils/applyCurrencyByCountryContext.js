@@ -1,10 +1,10 @@
-import { COUNTRY_CURRENCY_MAP } from "../constants/country_currency_map.js";
+import { loadCountryConfig } from "./countryConfig.js";
 import { setOfflineCurrency } from "./setOfflineCurrency.js";
 
 /**
  * Apply currency settings based on a country context (not URL)
  * @param {Object} page - Playwright page object
- * @param {string} countryKey - Country key from COUNTRY_CURRENCY_MAP (e.g., 'UK', 'USA')
+ * @param {string} countryKey - Country key from loadCountryConfig() (e.g., 'UK', 'USA')
  */
 export async function applyCurrencyByCountryContext(page, countryKey) {
   if (!countryKey) {
@@ -12,7 +12,7 @@ export async function applyCurrencyByCountryContext(page, countryKey) {
     return;
   }
 
-  const config = COUNTRY_CURRENCY_MAP[countryKey];
+  const config = loadCountryConfig()[countryKey];
 
   if (!config?.currency_code) {
     throw new Error(`Currency not defined for country: ${countryKey}`);
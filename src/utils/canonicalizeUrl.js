@@ -0,0 +1,70 @@
+import { getStudyIdFromUrl } from "./getStudyIdFromUrl.js";
+
+/**
+ * Query parameters that only track where a click came from: removed so the
+ * same page isn't queued once per referrer
+ */
+export const DEFAULT_STRIPPED_PARAMS = [
+  "ref",
+  "utm_source",
+  "utm_medium",
+  "utm_campaign",
+  "utm_term",
+  "utm_content",
+  "gclid",
+  "fbclid",
+];
+
+/**
+ * Resolve a link against the page it was found on and reduce it to one
+ * canonical form: no fragment, no tracking parameters, remaining
+ * parameters sorted. Study pages take no parameters, so theirs are all
+ * dropped (/studies/123/x.html?ref=a and ?ref=b are the same page).
+ * @param {string} href - Link as written in the page (absolute or relative)
+ * @param {string} pageUrl - URL of the page the link is on
+ * @param {Object} options
+ * @param {Array<string>} options.stripParams - Parameters to remove (default: DEFAULT_STRIPPED_PARAMS)
+ * @returns {string|null} - Canonical absolute URL, or null for links that
+ *   aren't http(s) pages (#, javascript:, mailto:, ...)
+ */
+export function canonicalizeUrl(href, pageUrl, options = {}) {
+  const stripParams = options.stripParams || DEFAULT_STRIPPED_PARAMS;
+  if (!href || href.trim().startsWith("#")) return null;
+
+  let url;
+  try {
+    url = new URL(href.trim(), pageUrl);
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+  url.hash = "";
+
+  if (getStudyIdFromUrl(url.pathname)) {
+    url.search = "";
+  } else {
+    stripParams.forEach((param) => url.searchParams.delete(param));
+    url.searchParams.sort();
+  }
+
+  return url.toString();
+}
+
+/**
+ * Identity of a page for deduplication: study pages by host and study ID
+ * (whatever their slug), other pages by URL
+ * @param {string} url - Canonical URL
+ * @returns {string} - Dedupe key
+ */
+export function getUrlKey(url) {
+  const studyId = getStudyIdFromUrl(url);
+  if (!studyId) return url;
+
+  try {
+    return `study:${new URL(url).host}:${studyId}`;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,112 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_RATES_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../constants/exchange_rates.json"
+);
+
+// Loaded exchange-rate tables, per file path
+const ratesCache = new Map();
+
+/**
+ * Load a local exchange-rate table. The file holds rates against one base
+ * currency plus the version and date they were taken on:
+ *   { "version": "...", "date": "YYYY-MM-DD", "base": "EUR", "rates": { "GBP": 0.84, ... } }
+ * @param {string} filePath - Rate table path (default: src/constants/exchange_rates.json)
+ * @returns {Object} - Exchange-rate table
+ */
+export function loadExchangeRates(filePath = DEFAULT_RATES_FILE) {
+  const resolved = path.resolve(filePath);
+  if (ratesCache.has(resolved)) return ratesCache.get(resolved);
+
+  const table = JSON.parse(fs.readFileSync(resolved, "utf8"));
+
+  if (!table.base || !table.rates || !table.date) {
+    throw new Error(`Invalid exchange-rate table: ${resolved}`);
+  }
+
+  ratesCache.set(resolved, table);
+  return table;
+}
+
+/**
+ * Rate to multiply an amount in `from` by to get `to`
+ * @param {string} from - ISO currency code
+ * @param {string} to - ISO currency code
+ * @param {Object} table - Exchange-rate table
+ * @returns {number|null} - Rate, or null if either currency is missing
+ */
+export function getExchangeRate(from, to, table) {
+  if (!from || !to) return null;
+  if (from === to) return 1;
+
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+  if (!fromRate || !toRate) return null;
+
+  return toRate / fromRate;
+}
+
+/**
+ * Convert an amount, rounded to whole units
+ */
+function convertAmount(amount, rate) {
+  if (amount === null || amount === undefined || rate === null) return null;
+  return Math.round(amount * rate);
+}
+
+/**
+ * Convert the parsed tuition fees of a study record into a reporting currency.
+ * Adds the converted headline amounts plus the rate, rate date and table
+ * version used; each entry of tuitionFees gets a `reporting` block too.
+ * @param {Object} record - Study record with fields from buildTuitionFeeFields()
+ * @param {string} reportingCurrency - ISO code to convert into, e.g. 'EUR'
+ * @param {Object} table - Exchange-rate table from loadExchangeRates()
+ * @returns {Object} - Record with conversion fields added
+ */
+export function convertTuitionFees(record, reportingCurrency, table) {
+  const rate = getExchangeRate(
+    record.tuitionFeeCurrency,
+    reportingCurrency,
+    table
+  );
+
+  if (record.tuitionFeeCurrency && rate === null) {
+    console.warn(
+      `  ⚠️ No exchange rate for ${record.tuitionFeeCurrency} → ${reportingCurrency} (rates ${table.version})`
+    );
+  }
+
+  const tuitionFees = record.tuitionFees
+    ? Object.fromEntries(
+        Object.entries(record.tuitionFees).map(([target, fee]) => {
+          const feeRate = getExchangeRate(fee.currency, reportingCurrency, table);
+          return [
+            target,
+            {
+              ...fee,
+              reporting: {
+                currency: reportingCurrency,
+                amount: convertAmount(fee.amount, feeRate),
+                annualAmount: convertAmount(fee.annualAmount, feeRate),
+                rate: feeRate,
+              },
+            },
+          ];
+        })
+      )
+    : record.tuitionFees;
+
+  return {
+    ...record,
+    tuitionFees,
+    reportingCurrency,
+    tuitionFeeAmountReporting: convertAmount(record.tuitionFeeAmount, rate),
+    tuitionFeeAnnualReporting: convertAmount(record.tuitionFeeAnnual, rate),
+    exchangeRate: rate,
+    exchangeRateDate: table.date,
+    exchangeRatesVersion: table.version || table.date,
+  };
+}
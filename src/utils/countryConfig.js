@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { COUNTRY_CURRENCY_MAP } from "../constants/country_currency_map.js";
+import { COUNTRY_OVERRIDES } from "../constants/country_overrides.js";
+
+export const GENERATED_COUNTRIES_FILE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../constants/generated_countries.json"
+);
+
+// Loaded country configs, per generated file path
+const configCache = new Map();
+
+/**
+ * Countries to crawl, keyed by country key, each { currency_code,
+ * url_safe_label }. Built from COUNTRY_CURRENCY_MAP, the countries found by
+ * discover-countries.js (when the generated file exists) and
+ * COUNTRY_OVERRIDES, in that order of precedence from low to high.
+ * Hand-maintained entries keep their keys ('UK', 'USA'): a discovered
+ * country with the same url_safe_label is not added again.
+ * @param {string} filePath - Generated config (default: src/constants/generated_countries.json)
+ * @returns {Object} - Country settings keyed by country key
+ */
+export function loadCountryConfig(filePath = GENERATED_COUNTRIES_FILE) {
+  const resolved = path.resolve(filePath);
+  if (configCache.has(resolved)) return configCache.get(resolved);
+
+  const config = { ...COUNTRY_CURRENCY_MAP };
+  const knownLabels = new Set(
+    Object.values(config).map((country) => country.url_safe_label)
+  );
+
+  if (fs.existsSync(resolved)) {
+    const { countries = {} } = JSON.parse(fs.readFileSync(resolved, "utf8"));
+
+    Object.keys(countries)
+      .sort()
+      .forEach((key) => {
+        if (knownLabels.has(countries[key].url_safe_label)) return;
+        config[key] = countries[key];
+      });
+  }
+
+  Object.entries(COUNTRY_OVERRIDES).forEach(([key, override]) => {
+    if (override === null) {
+      delete config[key];
+    } else {
+      config[key] = { ...config[key], ...override };
+    }
+  });
+
+  Object.entries(config).forEach(([key, country]) => {
+    if (!country.currency_code || !country.url_safe_label) {
+      console.warn(
+        `⚠️ Skipping country ${key}: currency_code and url_safe_label are required`
+      );
+      delete config[key];
+    }
+  });
+
+  configCache.set(resolved, config);
+  return config;
+}
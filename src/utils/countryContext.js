@@ -0,0 +1,55 @@
+import { loadCountryConfig } from "./countryConfig.js";
+import { toUrlSafeLabel } from "./countryDiscovery.js";
+
+/**
+ * Find the country key (see loadCountryConfig) of a URL-safe country label
+ * @param {string} countryLabel - URL-safe country label, e.g. 'united-kingdom'
+ * @returns {string|null} - Country key, e.g. 'UK'
+ */
+export function getCountryKeyByLabel(countryLabel) {
+  if (!countryLabel) return null;
+
+  const entry = Object.entries(loadCountryConfig()).find(
+    ([, value]) => value.url_safe_label === countryLabel
+  );
+
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Check whether a campus location names the given country (by its
+ * url_safe_label or its key, e.g. "united-kingdom" or "uk")
+ * @param {string} location - Campus location text
+ * @param {string} countryKey - Country key (see loadCountryConfig)
+ * @returns {boolean|null} - Null if either value is missing
+ */
+export function locationMatchesCountry(location, countryKey) {
+  const config = loadCountryConfig()[countryKey];
+  if (!location || !config) return null;
+
+  const text = `-${toUrlSafeLabel(location)}-`;
+  return [config.url_safe_label, toUrlSafeLabel(countryKey)].some((label) =>
+    text.includes(`-${label}-`)
+  );
+}
+
+/**
+ * Reconcile a study record's campus location with the country of the
+ * search page it was found from. The campus location stays in `country`
+ * when the page shows one; otherwise the search country fills it in.
+ * @param {Object} record - Study record (country = campus location text)
+ * @param {string|null} countryKey - Country of the discovering search page
+ * @returns {Object} - { country, countryContext, countrySource, countryMismatch }
+ */
+export function reconcileCountry(record, countryKey) {
+  const campus = record.country || null;
+
+  return {
+    country: campus || countryKey || null,
+    countryContext: countryKey || null,
+    countrySource: campus ? "campus" : countryKey ? "search" : null,
+    countryMismatch: campus && countryKey
+      ? !locationMatchesCountry(campus, countryKey)
+      : null,
+  };
+}
@@ -0,0 +1,138 @@
+import fs from "fs";
+import {
+  ISO_COUNTRY_CURRENCY,
+  COUNTRY_NAME_ALIASES,
+} from "../constants/iso_country_currency.js";
+import { GENERATED_COUNTRIES_FILE } from "./countryConfig.js";
+
+/**
+ * URL-safe label of a country name, the way the portals build them
+ * ("United Kingdom" -> "united-kingdom")
+ * @param {string} name - Country name
+ * @returns {string} - URL-safe label
+ */
+export function toUrlSafeLabel(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Read the countries linked from a portal page: the country filter of a
+ * search page (/search/<segment>/<country>) and country pages
+ * (/countries/<id>/<country>.html)
+ * @param {Object} $ - Cheerio instance of the page
+ * @param {Object} portal - Portal from getPortal()
+ * @returns {Array<Object>} - { name, url_safe_label }, one per label
+ */
+export function parseCountryLinks($, portal) {
+  const searchPattern = new RegExp(
+    `^/search/${portal.searchSegment}/([a-z0-9-]+)/?$`
+  );
+  const countryPagePattern = /^\/countries\/\d+\/([a-z0-9-]+)\.html$/;
+  const countries = new Map();
+
+  $("a[href]").each((_, element) => {
+    let pathname;
+    try {
+      pathname = new URL($(element).attr("href"), portal.baseUrl).pathname;
+    } catch {
+      return;
+    }
+
+    const match =
+      pathname.match(searchPattern) || pathname.match(countryPagePattern);
+    if (!match || countries.has(match[1])) return;
+
+    // Filter entries read like "Germany (1,234)" or "Germany 1234 programmes"
+    const name = $(element)
+      .text()
+      .replace(/\(?[\d,.]+\)?.*$/, "")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    countries.set(match[1], { name: name || null, url_safe_label: match[1] });
+  });
+
+  return Array.from(countries.values());
+}
+
+/**
+ * Look up a country in ISO_COUNTRY_CURRENCY by name, alias or URL-safe label
+ * @param {Object} country - { name, url_safe_label }
+ * @returns {Array|null} - [isoName, { iso_code, currency_code }]
+ */
+function findIsoCountry({ name, url_safe_label }) {
+  const canonical = COUNTRY_NAME_ALIASES[name] || name;
+  if (ISO_COUNTRY_CURRENCY[canonical]) {
+    return [canonical, ISO_COUNTRY_CURRENCY[canonical]];
+  }
+
+  return (
+    Object.entries(ISO_COUNTRY_CURRENCY).find(
+      ([isoName]) => toUrlSafeLabel(isoName) === url_safe_label
+    ) ||
+    Object.entries(COUNTRY_NAME_ALIASES)
+      .filter(([alias]) => toUrlSafeLabel(alias) === url_safe_label)
+      .map(([, isoName]) => [isoName, ISO_COUNTRY_CURRENCY[isoName]])[0] ||
+    null
+  );
+}
+
+/**
+ * Assign currencies to discovered countries from the bundled ISO table.
+ * Labels that aren't countries (regions, continents) or are missing from
+ * the table end up in `unmatched` instead of the config.
+ * @param {Array<Object>} discovered - Result of parseCountryLinks()
+ * @returns {Object} - { countries, unmatched } where countries is keyed by
+ *   country name, each { currency_code, url_safe_label, iso_code }
+ */
+export function buildCountryConfig(discovered) {
+  const countries = {};
+  const unmatched = [];
+
+  discovered.forEach((country) => {
+    const iso = findIsoCountry(country);
+    if (!iso) {
+      unmatched.push(country);
+      return;
+    }
+
+    const [isoName, { iso_code, currency_code }] = iso;
+    countries[isoName] = {
+      currency_code,
+      url_safe_label: country.url_safe_label,
+      iso_code,
+    };
+  });
+
+  return { countries, unmatched };
+}
+
+/**
+ * Write the generated country config read by loadCountryConfig()
+ * @param {Object} config - Result of buildCountryConfig()
+ * @param {Object} meta - Extra fields stored with it, e.g. { portal }
+ * @param {string} filePath - Output path (default: GENERATED_COUNTRIES_FILE)
+ * @returns {string} - Path written
+ */
+export function writeGeneratedCountries(
+  config,
+  meta = {},
+  filePath = GENERATED_COUNTRIES_FILE
+) {
+  const content = {
+    generatedAt: new Date().toISOString(),
+    ...meta,
+    countries: config.countries,
+    unmatched: config.unmatched,
+  };
+
+  const tmpFile = `${filePath}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(content, null, 2) + "\n");
+  fs.renameSync(tmpFile, filePath);
+  return filePath;
+}
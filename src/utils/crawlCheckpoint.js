@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const CHECKPOINT_DIR = path.resolve("output", "checkpoints");
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Build the default checkpoint file path for a crawler run
+ * e.g. MastersPortalCountryCrawler + https://www.mastersportal.com/search/master/germany
+ *   -> output/checkpoints/MastersPortalCountryCrawler_www-mastersportal-com-search-master-germany.json
+ * A crawl started from its own startUrls (e.g. a re-crawl of failed pages)
+ * gets a file of its own, suffixed with a hash of those URLs, and so does
+ * an index-only crawl (suffix _index).
+ * @param {string} crawlerName - Crawler class name
+ * @param {string} targetUrl - Start URL of the crawl
+ * @param {Array<string>} startUrls - URLs the crawl starts from (default: [targetUrl])
+ * @param {Object} options
+ * @param {boolean} options.indexOnly - Crawl only visits search pages (default: false)
+ * @returns {string} - Full path to checkpoint file
+ */
+export function getCheckpointPath(
+  crawlerName,
+  targetUrl,
+  startUrls = [targetUrl],
+  { indexOnly = false } = {}
+) {
+  const slug = (targetUrl || "default")
+    .replace(/^https?:\/\//, "")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .toLowerCase();
+
+  const suffix = sameStartUrls(startUrls, [targetUrl])
+    ? ""
+    : `_start-${crypto
+        .createHash("sha1")
+        .update([...startUrls].sort().join("\n"))
+        .digest("hex")
+        .slice(0, 10)}`;
+  const mode = indexOnly ? "_index" : "";
+
+  return path.join(CHECKPOINT_DIR, `${crawlerName}_${slug}${suffix}${mode}.json`);
+}
+
+/**
+ * Check whether two lists hold the same start URLs, in any order
+ * @param {Array<string>} a - Start URLs
+ * @param {Array<string>} b - Start URLs
+ * @returns {boolean}
+ */
+export function sameStartUrls(a = [], b = []) {
+  const sortedB = [...b].sort();
+  return a.length === b.length && [...a].sort().every((url, i) => url === sortedB[i]);
+}
+
+/**
+ * Read a checkpoint file
+ * @param {string} filePath - Checkpoint file path
+ * @returns {Object|null} - Saved crawl state, or null if missing/unreadable
+ */
+export function readCheckpointFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+
+  try {
+    const state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+    if (state?.version !== CHECKPOINT_VERSION) {
+      console.warn(`⚠️ Ignoring checkpoint with unknown version: ${filePath}`);
+      return null;
+    }
+
+    return state;
+  } catch (error) {
+    console.warn(`⚠️ Could not read checkpoint ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a checkpoint file atomically (temp file + rename) so a crash
+ * mid-write never leaves a truncated checkpoint behind
+ * @param {string} filePath - Checkpoint file path
+ * @param {Object} state - Crawl state to persist
+ */
+export function writeCheckpointFile(filePath, state) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpFile = `${filePath}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify({
+      version: CHECKPOINT_VERSION,
+      savedAt: new Date().toISOString(),
+      ...state,
+    })
+  );
+  fs.renameSync(tmpFile, filePath);
+}
+
+/**
+ * Delete a checkpoint file once a crawl has finished
+ * @param {string} filePath - Checkpoint file path
+ */
+export function removeCheckpointFile(filePath) {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
@@ -0,0 +1,319 @@
+import fs from "fs";
+import path from "path";
+import { toCountryCSVRow } from "./csvWriterByCountry.js";
+import { getStudyIdFromUrl } from "./getStudyIdFromUrl.js";
+
+const CHANGES_DIR = path.resolve("output", "changes");
+
+// Fields compared between runs (timestamps and URLs are ignored)
+export const DIFF_FIELDS = [
+  "courseName",
+  "university",
+  "country",
+  "degreeType",
+  "studyMode",
+  "tuitionFee",
+  "tuitionFees",
+  "duration",
+  "intakes",
+  "intakeDates",
+  "languageRequirements",
+  "generalRequirements",
+  "officialUniversityLink",
+];
+
+/**
+ * Normalize a CSV value for comparison
+ */
+function normalizeValue(value) {
+  if (value === null || value === undefined) return "";
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return str.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Parse the languageRequirements JSON column, tolerating bad values
+ */
+function parseLanguageRequirements(value) {
+  try {
+    return JSON.parse(value || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Compare two flattened rows field by field.
+ * Language requirements are compared per test (e.g. languageRequirements.IELTS)
+ * so a score change is reported as such rather than as one JSON blob.
+ * @param {Object} before - Previous row
+ * @param {Object} after - Current row
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<Object>} - List of { field, before, after }
+ */
+function diffRow(before, after, fields) {
+  const changes = [];
+
+  fields.forEach((field) => {
+    // Columns added after the previous run was written can't be compared
+    if (!(field in before)) return;
+
+    if (field === "languageRequirements") {
+      const oldTests = parseLanguageRequirements(before[field]);
+      const newTests = parseLanguageRequirements(after[field]);
+      const testNames = new Set([
+        ...Object.keys(oldTests),
+        ...Object.keys(newTests),
+      ]);
+
+      testNames.forEach((test) => {
+        const oldScore = normalizeValue(oldTests[test]);
+        const newScore = normalizeValue(newTests[test]);
+        if (oldScore !== newScore) {
+          changes.push({
+            field: `languageRequirements.${test}`,
+            before: oldScore || null,
+            after: newScore || null,
+          });
+        }
+      });
+      return;
+    }
+
+    const oldValue = normalizeValue(before[field]);
+    const newValue = normalizeValue(after[field]);
+    if (oldValue !== newValue) {
+      changes.push({
+        field,
+        before: oldValue || null,
+        after: newValue || null,
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Short description of a programme for the change report
+ */
+function describe(studyId, row) {
+  return {
+    studyId,
+    courseName: row.courseName || null,
+    university: row.university || null,
+    sourceUrl: row.sourceUrl || null,
+  };
+}
+
+/**
+ * Compare a new crawl's records against the previous output for the same
+ * portal/country.
+ * Programmes missing from the new crawl are only reported as removed when the
+ * crawl covered the whole country (queue drained); otherwise they are listed
+ * as notRecrawled, since a page budget may simply have stopped short of them.
+ * Programmes whose study page failed to load are never reported as removed.
+ * @param {Array<Object>} previousRows - Rows from readCountryCSV() taken before the crawl
+ * @param {Array<Object>} currentRecords - Records from extractStudyPageData
+ * @param {Object} options
+ * @param {boolean} options.crawlComplete - True if the crawl visited every queued URL
+ * @param {Array<string>} options.failedStudyIds - Study IDs whose page failed to load
+ * @param {Array<string>} options.fields - Fields to compare (default: DIFF_FIELDS)
+ * @returns {Object} - Change report
+ */
+export function diffCrawlRecords(previousRows, currentRecords, options = {}) {
+  const { crawlComplete = false, fields = DIFF_FIELDS } = options;
+  const failedStudyIds = new Set(options.failedStudyIds || []);
+
+  const previous = new Map();
+  previousRows.forEach((row) => {
+    const studyId = getStudyIdFromUrl(row.sourceUrl);
+    if (studyId) previous.set(studyId, row);
+  });
+
+  const current = new Map();
+  currentRecords.forEach((record) => {
+    const studyId = getStudyIdFromUrl(record.sourceUrl);
+    if (studyId) current.set(studyId, toCountryCSVRow(record));
+  });
+
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  current.forEach((row, studyId) => {
+    const before = previous.get(studyId);
+
+    if (!before) {
+      added.push(describe(studyId, row));
+      return;
+    }
+
+    const changes = diffRow(before, row, fields);
+    if (changes.length > 0) {
+      changed.push({ ...describe(studyId, row), changes });
+    } else {
+      unchangedCount++;
+    }
+  });
+
+  const removed = [];
+  const notRecrawled = [];
+  previous.forEach((row, studyId) => {
+    if (current.has(studyId)) return;
+
+    const gone = crawlComplete && !failedStudyIds.has(studyId);
+    (gone ? removed : notRecrawled).push(describe(studyId, row));
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    crawlComplete,
+    summary: {
+      previousCount: previous.size,
+      currentCount: current.size,
+      added: added.length,
+      removed: removed.length,
+      notRecrawled: notRecrawled.length,
+      changed: changed.length,
+      unchanged: unchangedCount,
+    },
+    added,
+    removed,
+    notRecrawled,
+    changed,
+  };
+}
+
+/**
+ * Render a change report as human-readable text
+ * @param {Object} report - Report from diffCrawlRecords()
+ * @param {string} title - Report heading
+ * @returns {string} - Text report
+ */
+export function formatChangeReport(report, title = "Crawl Change Report") {
+  const lines = [];
+  const { summary } = report;
+  const label = (item) =>
+    `${item.courseName || "N/A"} — ${item.university || "N/A"} (study ${
+      item.studyId
+    })`;
+
+  lines.push(title);
+  lines.push("=".repeat(title.length));
+  lines.push(`Generated: ${report.generatedAt}`);
+  lines.push("");
+  lines.push(`Previous programmes: ${summary.previousCount}`);
+  lines.push(`Current programmes:  ${summary.currentCount}`);
+  lines.push(`New:       ${summary.added}`);
+  lines.push(`Removed:   ${summary.removed}`);
+  lines.push(`Changed:   ${summary.changed}`);
+  lines.push(`Unchanged: ${summary.unchanged}`);
+
+  if (!report.crawlComplete) {
+    lines.push("");
+    lines.push(
+      `Note: the crawl stopped before visiting every page, so ${summary.notRecrawled} previously seen programmes were not re-checked and are not reported as removed.`
+    );
+  } else if (summary.notRecrawled > 0) {
+    lines.push("");
+    lines.push(
+      `Note: ${summary.notRecrawled} previously seen programmes failed to load and are not reported as removed.`
+    );
+  }
+
+  if (report.added.length > 0) {
+    lines.push("", "--- New programmes ---");
+    report.added.forEach((item) => lines.push(`  + ${label(item)}`));
+  }
+
+  if (report.removed.length > 0) {
+    lines.push("", "--- Removed programmes ---");
+    report.removed.forEach((item) => lines.push(`  - ${label(item)}`));
+  }
+
+  if (report.changed.length > 0) {
+    lines.push("", "--- Changed programmes ---");
+    report.changed.forEach((item) => {
+      lines.push(`  * ${label(item)}`);
+      item.changes.forEach((change) => {
+        lines.push(
+          `      ${change.field}: ${change.before ?? "(empty)"} → ${
+            change.after ?? "(empty)"
+          }`
+        );
+      });
+    });
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write a change report as JSON and text to output/changes/
+ * e.g. output/changes/masters-changes_germany_2024-01-01T00-00-00-000Z.json
+ * @param {Object} report - Report from diffCrawlRecords()
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ * @returns {Object} - Paths of the written { json, text } files
+ */
+export function writeChangeReport(report, portalType, countryLabel) {
+  fs.mkdirSync(CHANGES_DIR, { recursive: true });
+
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const baseName = `${portalType}-changes_${countryLabel}_${stamp}`;
+  const jsonFile = path.join(CHANGES_DIR, `${baseName}.json`);
+  const textFile = path.join(CHANGES_DIR, `${baseName}.txt`);
+
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+  fs.writeFileSync(
+    textFile,
+    formatChangeReport(report, `Change report: ${portalType} / ${countryLabel}`)
+  );
+
+  return { json: jsonFile, text: textFile };
+}
+
+/**
+ * Diff a finished crawl against the snapshot of the country CSV taken
+ * before it (results.previousRows, carried over from the checkpoint when
+ * the crawl was resumed), write the report files and log a one-line summary
+ * @param {Object} results - Results from crawler.crawl()
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ * @returns {Object} - Change report
+ */
+export function reportCrawlChanges(results, portalType, countryLabel) {
+  // Only a crawl that drained its queue covers the whole country. A filtered
+  // crawl, or one where a search page failed, may have missed programmes, so
+  // nothing it didn't see can be called removed; failed study pages are
+  // never removals either
+  const failedUrls = results.failedUrls || [];
+  const failedStudyIds = failedUrls
+    .map((failure) => getStudyIdFromUrl(failure.url))
+    .filter(Boolean);
+  const queueDrained = results.stopReason
+    ? results.stopReason === "completed"
+    : results.remainingUrls.length === 0;
+
+  const report = diffCrawlRecords(
+    results.previousRows || [],
+    results.extractedData,
+    {
+      crawlComplete:
+        queueDrained &&
+        !results.filters &&
+        failedStudyIds.length === failedUrls.length,
+      failedStudyIds,
+    }
+  );
+  const files = writeChangeReport(report, portalType, countryLabel);
+  const { summary } = report;
+
+  console.log(
+    `  Changes: ${summary.added} new, ${summary.removed} removed, ${summary.changed} changed`
+  );
+  console.log(`  Change report: ${path.relative(process.cwd(), files.text)}`);
+
+  return report;
+}
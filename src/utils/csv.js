@@ -0,0 +1,100 @@
+// Columns of the study CSV files, shared by csvWriter (all programmes) and
+// csvWriterByCountry (one file per country)
+export const STUDY_CSV_HEADERS = [
+  "courseName",
+  "university",
+  "country",
+  "countryContext",
+  "countrySource",
+  "countryMismatch",
+  "degreeType",
+  "studyMode",
+  "tuitionFee",
+  "tuitionFeeAmount",
+  "tuitionFeeCurrency",
+  "tuitionFeePeriod",
+  "tuitionFeeAnnual",
+  "tuitionFees",
+  "reportingCurrency",
+  "tuitionFeeAmountReporting",
+  "tuitionFeeAnnualReporting",
+  "exchangeRate",
+  "exchangeRateDate",
+  "exchangeRatesVersion",
+  "duration",
+  "durationMonths",
+  "partTimeDurationMonths",
+  "isFullTime",
+  "isPartTime",
+  "intakes",
+  "intakeDates",
+  "languageRequirements",
+  "generalRequirements",
+  "officialUniversityLink",
+  "sourceUrl",
+  "portal",
+  "extractionSource",
+  "discoveredFrom",
+  "discoveryDepth",
+  "discoveredAt",
+  "extractedAt",
+  "updatedAt",
+  "parseIssues",
+];
+
+/**
+ * Escape CSV values properly
+ */
+export function escapeCSV(value) {
+  if (value === null || value === undefined) return "";
+  const str = typeof value === "string" ? value : JSON.stringify(value);
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Handles quoted fields, escaped quotes and newlines inside quotes
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Parsed rows
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
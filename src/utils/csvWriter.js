@@ -1,14 +1,36 @@
 import fs from "fs";
 import path from "path";
+import { escapeCSV, parseCSV, STUDY_CSV_HEADERS } from "./csv.js";
 
 const OUTPUT_DIR = path.resolve("output");
 const CSV_FILE = path.join(OUTPUT_DIR, "mastersportal_studies.csv");
 
-function escapeCSV(value) {
-  if (value === null || value === undefined) return "";
-  const str = typeof value === "string" ? value : JSON.stringify(value);
-
-  return `"${str.replace(/"/g, '""')}"`;
+let headerChecked = false;
+
+/**
+ * Bring an existing CSV written with an older column list up to
+ * STUDY_CSV_HEADERS, moving each value to its column by header name
+ * (temp file + rename).
+ * Checked once per process; rows are appended without re-reading afterwards.
+ */
+function migrateHeaders() {
+  if (headerChecked || !fs.existsSync(CSV_FILE)) return;
+  headerChecked = true;
+
+  const content = fs.readFileSync(CSV_FILE, "utf8");
+  const [headerRow = [], ...dataRows] = parseCSV(content);
+  if (headerRow.join(",") === STUDY_CSV_HEADERS.join(",")) return;
+
+  console.log(`ℹ️  Updating columns of ${path.relative(process.cwd(), CSV_FILE)}`);
+  const lines = [STUDY_CSV_HEADERS.join(",")];
+  dataRows.forEach((values) => {
+    const row = Object.fromEntries(headerRow.map((h, i) => [h, values[i]]));
+    lines.push(STUDY_CSV_HEADERS.map((h) => escapeCSV(row[h])).join(","));
+  });
+
+  const tmpFile = `${CSV_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, lines.join("\n") + "\n");
+  fs.renameSync(tmpFile, CSV_FILE);
 }
 
 export function appendToCSV(data) {
@@ -16,29 +38,14 @@ export function appendToCSV(data) {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
   }
 
+  migrateHeaders();
   const exists = fs.existsSync(CSV_FILE);
 
-  const headers = [
-    "courseName",
-    "university",
-    "country",
-    "degreeType",
-    "studyMode",
-    "tuitionFee",
-    "duration",
-    "intakes",
-    "languageRequirements",
-    "generalRequirements",
-    "officialUniversityLink",
-    "sourceUrl",
-    "portal",
-    "extractedAt",
-  ];
-
-  const row = headers.map((h) => escapeCSV(data[h])).join(",") + "\n";
+  const row =
+    STUDY_CSV_HEADERS.map((h) => escapeCSV(data[h])).join(",") + "\n";
 
   if (!exists) {
-    const headerRow = headers.join(",") + "\n";
+    const headerRow = STUDY_CSV_HEADERS.join(",") + "\n";
     fs.writeFileSync(CSV_FILE, headerRow + row);
   } else {
     fs.appendFileSync(CSV_FILE, row);
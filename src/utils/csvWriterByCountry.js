@@ -1,70 +1,181 @@
 import fs from "fs";
 import path from "path";
+import { getStudyIdFromUrl } from "./getStudyIdFromUrl.js";
+import { escapeCSV, parseCSV, STUDY_CSV_HEADERS } from "./csv.js";
 
 const OUTPUT_DIR = path.resolve("output");
 
+// Rows keyed by study ID, per CSV file path: what is on disk plus upserts
+// not yet flushed
+const rowCache = new Map();
+
+// CSV file paths whose cached rows differ from the file
+const dirtyFiles = new Set();
+
+/**
+ * Flatten an extracted study record into CSV column values
+ * (arrays joined, language requirements as JSON). Already-flattened
+ * rows pass through unchanged.
+ * @param {Object} data - Record from extractStudyPageData
+ * @returns {Object} - Row data with string values
+ */
+export function toCountryCSVRow(data) {
+  const { intakes, languageRequirements, generalRequirements, parseIssues } =
+    data;
+
+  return {
+    ...data,
+    intakes: Array.isArray(intakes) ? intakes.join(", ") : intakes || "",
+    languageRequirements:
+      typeof languageRequirements === "string"
+        ? languageRequirements
+        : JSON.stringify(languageRequirements || {}),
+    generalRequirements: Array.isArray(generalRequirements)
+      ? generalRequirements.join(" | ")
+      : generalRequirements || "",
+    parseIssues: Array.isArray(parseIssues)
+      ? parseIssues.map((i) => `${i.field}: ${i.message}`).join(" | ")
+      : parseIssues || "",
+  };
+}
+
+/**
+ * Key used to identify a programme row: the study ID from /studies/<id>/,
+ * falling back to the source URL for non-study pages
+ * @param {Object} row - Row data
+ * @returns {string|null} - Row key
+ */
+function getRowKey(row) {
+  return getStudyIdFromUrl(row.sourceUrl) || row.sourceUrl || null;
+}
+
 /**
- * Escape CSV values properly
+ * Load the rows of a CSV file into a Map keyed by study ID (cached).
+ * Files written by the old append-only writer may contain the same programme
+ * several times; those collapse into one row keeping the first extractedAt.
+ * @param {string} csvFile - CSV file path
+ * @returns {Map<string, Object>} - Rows keyed by study ID
  */
-function escapeCSV(value) {
-  if (value === null || value === undefined) return "";
-  const str = typeof value === "string" ? value : JSON.stringify(value);
-  return `"${str.replace(/"/g, '""')}"`;
+function loadRows(csvFile) {
+  if (!rowCache.has(csvFile)) {
+    rowCache.set(csvFile, readRows(csvFile));
+  }
+  return rowCache.get(csvFile);
 }
 
 /**
- * Append data to a country-specific CSV file
- * @param {Object} data - Data to append
- * @param {string} portalType - 'masters' or 'bachelors'
+ * Read the rows of a CSV file from disk, keyed by study ID
+ * @param {string} csvFile - CSV file path
+ * @returns {Map<string, Object>} - Rows keyed by study ID
+ */
+function readRows(csvFile) {
+  const rows = new Map();
+
+  if (fs.existsSync(csvFile)) {
+    const [headerRow, ...dataRows] = parseCSV(fs.readFileSync(csvFile, "utf8"));
+
+    dataRows.forEach((values) => {
+      const row = Object.fromEntries(
+        (headerRow || []).map((h, i) => [h, values[i] ?? ""])
+      );
+      const key = getRowKey(row);
+      if (!key) return;
+
+      const previous = rows.get(key);
+      rows.set(key, {
+        ...row,
+        extractedAt: previous?.extractedAt || row.extractedAt,
+      });
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Rewrite a CSV file from its rows (temp file + rename, so a crash
+ * mid-write never leaves a partial file behind)
+ * @param {string} csvFile - CSV file path
+ * @param {Map<string, Object>} rows - Rows keyed by study ID
+ */
+function writeRows(csvFile, rows) {
+  const lines = [STUDY_CSV_HEADERS.join(",")];
+  rows.forEach((row) => {
+    lines.push(STUDY_CSV_HEADERS.map((h) => escapeCSV(row[h])).join(","));
+  });
+
+  const tmpFile = `${csvFile}.tmp`;
+  fs.writeFileSync(tmpFile, lines.join("\n") + "\n");
+  fs.renameSync(tmpFile, csvFile);
+}
+
+/**
+ * Insert or update a programme in a country-specific CSV file.
+ * Rows are keyed by the study ID from the /studies/<id>/ URL: an existing
+ * row is updated in place, keeping its original extractedAt and bumping
+ * updatedAt. The row only changes the in-memory copy of the file; call
+ * flushCountryCSV() to write it (crawlers do at each checkpoint and at the
+ * end of the crawl), so a country is not rewritten once per programme.
+ * @param {Object} data - Record from extractStudyPageData
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
  * @param {string} countryLabel - URL-safe country label (e.g., 'united-kingdom')
  */
-export function appendToCountryCSV(data, portalType, countryLabel) {
+export function upsertCountryCSV(data, portalType, countryLabel) {
   if (!fs.existsSync(OUTPUT_DIR)) {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
   }
 
   const fileName = `${portalType}-courses_${countryLabel}.csv`;
   const csvFile = path.join(OUTPUT_DIR, fileName);
-  const exists = fs.existsSync(csvFile);
-
-  const headers = [
-    "courseName",
-    "university",
-    "country",
-    "degreeType",
-    "studyMode",
-    "tuitionFee",
-    "duration",
-    "intakes",
-    "languageRequirements",
-    "generalRequirements",
-    "officialUniversityLink",
-    "sourceUrl",
-    "portal",
-    "extractedAt",
-    "updatedAt",
-  ];
-
-  // Add updatedAt timestamp
-  const rowData = {
-    ...data,
+
+  const rows = loadRows(csvFile);
+  const key = getRowKey(data);
+
+  if (!key) {
+    console.warn(`  ⚠️ Skipping CSV row without sourceUrl`);
+    return;
+  }
+
+  const existing = rows.get(key);
+  rows.set(key, {
+    ...toCountryCSVRow(data),
+    extractedAt: existing?.extractedAt || data.extractedAt,
     updatedAt: new Date().toISOString(),
-  };
+  });
 
-  const row = headers.map((h) => escapeCSV(rowData[h])).join(",") + "\n";
+  dirtyFiles.add(csvFile);
 
-  if (!exists) {
-    const headerRow = headers.join(",") + "\n";
-    fs.writeFileSync(csvFile, headerRow + row);
-    console.log(`  📝 Created new CSV file: ${fileName}`);
-  } else {
-    fs.appendFileSync(csvFile, row);
+  if (existing) {
+    console.log(`  📝 Updated existing row for study ${key} in ${fileName}`);
+  }
+}
+
+/**
+ * Write the pending upserts of a country CSV file to disk (temp file +
+ * rename). Does nothing if no row changed since the last flush.
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ */
+export function flushCountryCSV(portalType, countryLabel) {
+  const csvFile = getCountryCSVPath(portalType, countryLabel);
+  if (!dirtyFiles.has(csvFile)) return;
+
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  const isNewFile = !fs.existsSync(csvFile);
+  writeRows(csvFile, rowCache.get(csvFile));
+  dirtyFiles.delete(csvFile);
+
+  if (isNewFile) {
+    console.log(`  📝 Created new CSV file: ${path.basename(csvFile)}`);
   }
 }
 
 /**
  * Get CSV file path for a country
- * @param {string} portalType - 'masters' or 'bachelors'
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
  * @param {string} countryLabel - URL-safe country label
  * @returns {string} - Full path to CSV file
  */
@@ -72,3 +183,15 @@ export function getCountryCSVPath(portalType, countryLabel) {
   const fileName = `${portalType}-courses_${countryLabel}.csv`;
   return path.join(OUTPUT_DIR, fileName);
 }
+
+/**
+ * Read the current rows of a country CSV file, one per programme.
+ * Always reads from disk (without unflushed upserts), so calling it before
+ * a crawl gives a snapshot of the previous run's output.
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ * @returns {Array<Object>} - Rows keyed by column name
+ */
+export function readCountryCSV(portalType, countryLabel) {
+  return Array.from(readRows(getCountryCSVPath(portalType, countryLabel)).values());
+}
@@ -0,0 +1,57 @@
+// Cloudflare / anti-bot interstitials, served while the browser is checked
+const CHALLENGE_TITLES =
+  /just a moment|checking your browser|attention required|please wait|verify you are human/i;
+const CHALLENGE_MARKERS = [
+  "cf-challenge",
+  "challenge-platform",
+  "cf_chl_opt",
+  "cf-turnstile",
+  "g-recaptcha",
+  "h-captcha",
+];
+
+// Larger pages are real content
+const MAX_INTERSTITIAL_LENGTH = 50000;
+
+// Hard blocks: the request was refused
+const BLOCK_TEXTS =
+  /sorry, you have been blocked|you are unable to access|access denied|error 1020|error 1015|request blocked/i;
+
+/**
+ * Detect a challenge or block page instead of the requested content
+ * @param {Object} page
+ * @param {string} page.html - Page HTML
+ * @param {string} page.title - Document title
+ * @param {number} page.status - HTTP status of the navigation
+ * @returns {Object|null} - { kind, reason } where kind is 'challenge' | 'blocked'
+ *   | 'rate-limited', or null for a normal page
+ */
+export function detectBlockPage({ html = "", title = "", status = null } = {}) {
+  // Interstitials are small; phrases like "access denied" can appear in the
+  // text of a real (large) page, so HTML is only checked on short pages
+  const text = (html || "").length < MAX_INTERSTITIAL_LENGTH ? html || "" : "";
+  const pageTitle = title || "";
+
+  if (status === 429 || /you are being rate limited/i.test(text)) {
+    return {
+      kind: "rate-limited",
+      reason: status === 429 ? "HTTP 429 rate limit" : "Rate limit page",
+    };
+  }
+
+  const blockText = pageTitle.match(BLOCK_TEXTS) || text.match(BLOCK_TEXTS);
+  if (blockText) {
+    return { kind: "blocked", reason: `Block page: "${blockText[0]}"` };
+  }
+
+  if (CHALLENGE_TITLES.test(pageTitle)) {
+    return { kind: "challenge", reason: `Challenge page: "${pageTitle}"` };
+  }
+
+  const marker = CHALLENGE_MARKERS.find((m) => text.includes(m));
+  if (marker) {
+    return { kind: "challenge", reason: `Challenge page (${marker})` };
+  }
+
+  return null;
+}
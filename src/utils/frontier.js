@@ -0,0 +1,165 @@
+import { getUrlKey } from "./canonicalizeUrl.js";
+import { getStudyIdFromUrl } from "./getStudyIdFromUrl.js";
+
+/**
+ * Orders in which a Frontier hands out URLs:
+ * - bfs: first found, first visited
+ * - dfs: last found, first visited
+ * - study-first: every queued study page before any other page, so the
+ *   study links of fetched search pages are used up before the next
+ *   search page is fetched
+ * - round-robin: like study-first, but taking one study page from each
+ *   search page in turn, so an early stop still covers every fetched page
+ */
+export const FRONTIER_POLICIES = ["bfs", "dfs", "study-first", "round-robin"];
+
+/**
+ * Crawl frontier: the queue of URLs to visit plus every URL already queued
+ * or visited, with O(1) membership checks. URLs are compared by
+ * getUrlKey(), so one study is only ever queued once.
+ */
+export class Frontier {
+  /**
+   * @param {Array<string>} urls - URLs to queue initially
+   * @param {Object} options
+   * @param {string} options.policy - One of FRONTIER_POLICIES (default: 'bfs')
+   */
+  constructor(urls = [], options = {}) {
+    this.policy = options.policy || "bfs";
+
+    if (!FRONTIER_POLICIES.includes(this.policy)) {
+      throw new Error(
+        `Unknown frontier policy "${this.policy}". Available: ${FRONTIER_POLICIES.join(", ")}`
+      );
+    }
+
+    // Queued URLs per group, in the order groups were created
+    this.groups = new Map();
+    this.nextGroup = 0;
+    this.count = 0;
+    this.queuedKeys = new Set();
+    this.visitedKeys = new Set();
+    urls.forEach((url) => this.add(url));
+  }
+
+  /**
+   * Queue a URL unless it is already queued or visited
+   * @param {string} url - Canonical URL
+   * @param {Object} meta
+   * @param {string} meta.referrer - Page the URL was found on (groups study pages for round-robin)
+   * @returns {boolean} - True if the URL was added
+   */
+  add(url, { referrer = null } = {}) {
+    if (!url || this.has(url)) return false;
+
+    const group = this.getGroup(url, referrer);
+    if (!this.groups.has(group)) this.groups.set(group, []);
+    this.groups.get(group).push(url);
+
+    this.queuedKeys.add(getUrlKey(url));
+    this.count++;
+    return true;
+  }
+
+  /**
+   * Check whether a URL is queued or has been visited
+   * @param {string} url - Canonical URL
+   * @returns {boolean}
+   */
+  has(url) {
+    const key = getUrlKey(url);
+    return this.queuedKeys.has(key) || this.visitedKeys.has(key);
+  }
+
+  /**
+   * Check whether a URL has been visited
+   * @param {string} url - Canonical URL
+   * @returns {boolean}
+   */
+  isVisited(url) {
+    return this.visitedKeys.has(getUrlKey(url));
+  }
+
+  /**
+   * Take the next unvisited URL (by the frontier's policy) and mark it visited
+   * @returns {string|null} - URL, or null if the queue is empty
+   */
+  next() {
+    while (this.count > 0) {
+      const group = this.pickGroup();
+      const queue = this.groups.get(group);
+      const url = this.policy === "dfs" ? queue.pop() : queue.shift();
+
+      if (queue.length === 0) this.groups.delete(group);
+      this.count--;
+
+      const key = getUrlKey(url);
+      this.queuedKeys.delete(key);
+      if (this.visitedKeys.has(key)) continue;
+
+      this.visitedKeys.add(key);
+      return url;
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a URL visited without taking it from the queue (e.g. on resume)
+   * @param {string} url - Canonical URL
+   */
+  markVisited(url) {
+    this.visitedKeys.add(getUrlKey(url));
+  }
+
+  /**
+   * Number of queued URLs
+   * @returns {number}
+   */
+  get size() {
+    return this.count;
+  }
+
+  /**
+   * Queued URLs, study pages first for the study policies
+   * @returns {Array<string>}
+   */
+  toArray() {
+    const groups = Array.from(this.groups.entries());
+    const ordered = [
+      ...groups.filter(([group]) => group !== "other"),
+      ...groups.filter(([group]) => group === "other"),
+    ];
+
+    return ordered.flatMap(([, queue]) =>
+      this.policy === "dfs" ? [...queue].reverse() : queue
+    );
+  }
+
+  /**
+   * Group a URL is queued in: one group for bfs/dfs; study pages apart from
+   * other pages for study-first; study pages per referrer for round-robin
+   */
+  getGroup(url, referrer) {
+    if (this.policy === "bfs" || this.policy === "dfs") return "all";
+    if (!getStudyIdFromUrl(url)) return "other";
+
+    return this.policy === "round-robin" ? `study:${referrer}` : "study";
+  }
+
+  /**
+   * Non-empty group to take the next URL from
+   */
+  pickGroup() {
+    const studyGroups = Array.from(this.groups.keys()).filter(
+      (group) => group !== "other"
+    );
+    if (studyGroups.length === 0) return "other";
+    if (this.policy !== "round-robin") return studyGroups[0];
+
+    // Rotate over the search pages' study groups
+    const group = studyGroups[this.nextGroup % studyGroups.length];
+    this.nextGroup = (this.nextGroup % studyGroups.length) + 1;
+    return group;
+  }
+}
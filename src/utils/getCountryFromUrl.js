@@ -1,4 +1,5 @@
-import { COUNTRY_CURRENCY_MAP } from "../constants/country_currency_map.js";
+import { loadCountryConfig } from "./countryConfig.js";
+import { getSearchSegments } from "./portals.js";
 
 export function getCountryFromUrl(url) {
   try {
@@ -9,24 +10,20 @@ export function getCountryFromUrl(url) {
       .map((s) => s.trim())
       .filter(Boolean);
 
-    // For search pages: /search/master/united-kingdom or /search/bachelor/united-kingdom
-    // Country is the segment after 'master' or 'bachelor'
-    const masterIndex = segments.indexOf("master");
-    const bachelorIndex = segments.indexOf("bachelor");
-
-    let urlCountryLabel = null;
-
-    if (masterIndex !== -1 && segments.length > masterIndex + 1) {
-      urlCountryLabel = segments[masterIndex + 1];
-    } else if (bachelorIndex !== -1 && segments.length > bachelorIndex + 1) {
-      urlCountryLabel = segments[bachelorIndex + 1];
-    }
+    // For search pages: /search/master/united-kingdom, /search/phd/germany, ...
+    // Country is the segment after the portal's search segment
+    const searchIndex = segments.indexOf("search");
+    const urlCountryLabel =
+      searchIndex !== -1 &&
+      getSearchSegments().includes(segments[searchIndex + 1])
+        ? segments[searchIndex + 2] || null
+        : null;
 
     if (!urlCountryLabel) {
       return null;
     }
 
-    const entry = Object.entries(COUNTRY_CURRENCY_MAP).find(
+    const entry = Object.entries(loadCountryConfig()).find(
       ([, value]) => value.url_safe_label === urlCountryLabel
     );
 
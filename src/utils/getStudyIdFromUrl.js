@@ -0,0 +1,12 @@
+/**
+ * Extract the numeric study ID from a study page URL
+ * e.g. https://www.mastersportal.com/studies/254523/medical-bioscience.html -> "254523"
+ * @param {string} url - Study page URL
+ * @returns {string|null} - Study ID, or null if the URL is not a study page
+ */
+export function getStudyIdFromUrl(url) {
+  if (!url) return null;
+
+  const match = String(url).match(/\/studies\/(\d+)(?:\/|$)/);
+  return match ? match[1] : null;
+}
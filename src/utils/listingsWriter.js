@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import { escapeCSV, parseCSV } from "./csv.js";
+
+const OUTPUT_DIR = path.resolve("output");
+
+const HEADERS = [
+  "studyId",
+  "title",
+  "university",
+  "location",
+  "feeSnippet",
+  "duration",
+  "featured",
+  "searchPage",
+  "position",
+  "studyUrl",
+  "searchUrl",
+  "portal",
+  "firstSeenAt",
+  "lastSeenAt",
+];
+
+// Rows keyed by study ID, per CSV file path: what is on disk plus upserts
+// not yet flushed
+const rowCache = new Map();
+
+// CSV file paths whose cached rows differ from the file
+const dirtyFiles = new Set();
+
+/**
+ * Listings CSV file path of a country
+ */
+function getCSVPath(portalType, countryLabel) {
+  const fileName = `${portalType}-listings_${countryLabel}.csv`;
+  return path.join(OUTPUT_DIR, fileName);
+}
+
+/**
+ * Load the rows of a listings CSV into a Map keyed by study ID (cached)
+ * @param {string} csvFile - CSV file path
+ * @returns {Map<string, Object>} - Rows keyed by study ID
+ */
+function loadRows(csvFile) {
+  if (rowCache.has(csvFile)) return rowCache.get(csvFile);
+
+  const rows = new Map();
+
+  if (fs.existsSync(csvFile)) {
+    const [headerRow, ...dataRows] = parseCSV(fs.readFileSync(csvFile, "utf8"));
+
+    dataRows.forEach((values) => {
+      const row = Object.fromEntries(
+        (headerRow || []).map((h, i) => [h, values[i] ?? ""])
+      );
+      if (row.studyId) rows.set(row.studyId, row);
+    });
+  }
+
+  rowCache.set(csvFile, rows);
+  return rows;
+}
+
+/**
+ * Insert or update search-card listings of a country.
+ * Rows are keyed by study ID: a listing seen again keeps its firstSeenAt
+ * and gets the latest card values. Only the in-memory copy of the file
+ * changes; call flushListingsCSV() to write it (crawlers do at each
+ * checkpoint and at the end of the crawl).
+ * @param {Array<Object>} listings - Records from SearchPageExtractor
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label (e.g., 'united-kingdom')
+ */
+export function upsertListingsCSV(listings, portalType, countryLabel) {
+  if (!listings.length) return;
+
+  const csvFile = getCSVPath(portalType, countryLabel);
+  const rows = loadRows(csvFile);
+
+  listings.forEach(({ extractedAt, ...listing }) => {
+    const existing = rows.get(listing.studyId);
+    rows.set(listing.studyId, {
+      ...listing,
+      firstSeenAt: existing?.firstSeenAt || extractedAt,
+      lastSeenAt: extractedAt,
+    });
+  });
+
+  dirtyFiles.add(csvFile);
+}
+
+/**
+ * Write the pending listing upserts of a country to its listings CSV
+ * (temp file + rename). Does nothing if no listing changed since the last
+ * flush.
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ */
+export function flushListingsCSV(portalType, countryLabel) {
+  const csvFile = getCSVPath(portalType, countryLabel);
+  if (!dirtyFiles.has(csvFile)) return;
+
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  }
+
+  const lines = [HEADERS.join(",")];
+  rowCache.get(csvFile).forEach((row) => {
+    lines.push(HEADERS.map((h) => escapeCSV(row[h])).join(","));
+  });
+
+  const tmpFile = `${csvFile}.tmp`;
+  fs.writeFileSync(tmpFile, lines.join("\n") + "\n");
+  fs.renameSync(tmpFile, csvFile);
+  dirtyFiles.delete(csvFile);
+}
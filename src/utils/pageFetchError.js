@@ -0,0 +1,56 @@
+// HTTP statuses that won't change on a retry
+const PERMANENT_STATUSES = [400, 401, 404, 410];
+
+/**
+ * A page that couldn't be loaded or read, with the reason it failed
+ *   type: 'timeout' | 'http' | 'challenge' | 'selector' | 'network' | 'unknown'
+ */
+export class PageFetchError extends Error {
+  /**
+   * @param {string} type - Failure type
+   * @param {string} message - Error message
+   * @param {Object} details - { url, status }
+   */
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = "PageFetchError";
+    this.type = type;
+    this.url = details.url || null;
+    this.status = details.status ?? null;
+  }
+
+  /**
+   * Whether loading the page again may succeed
+   */
+  get retryable() {
+    if (this.type === "http") {
+      return !PERMANENT_STATUSES.includes(this.status);
+    }
+    // The page loaded but doesn't have the expected layout
+    return this.type !== "selector";
+  }
+}
+
+/**
+ * Turn any error thrown while loading a page into a PageFetchError
+ * @param {Error} error - Error from Playwright or the crawler
+ * @param {string} url - Page URL
+ * @returns {PageFetchError}
+ */
+export function classifyFetchError(error, url = null) {
+  if (error instanceof PageFetchError) {
+    if (!error.url) error.url = url;
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  let type = "unknown";
+
+  if (error?.name === "TimeoutError" || /timeout \d+ms exceeded/i.test(message)) {
+    type = "timeout";
+  } else if (/net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|socket hang up/i.test(message)) {
+    type = "network";
+  }
+
+  return new PageFetchError(type, message, { url });
+}
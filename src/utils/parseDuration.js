@@ -0,0 +1,144 @@
+// Length of each unit the portal uses, in months
+const UNIT_MONTHS = {
+  year: 12,
+  semester: 6,
+  trimester: 4,
+  term: 4,
+  quarter: 3,
+  month: 1,
+  week: 12 / 52,
+  day: 12 / 365,
+};
+
+const UNIT_WORDS =
+  "(years?|yrs?|semesters?|trimesters?|terms?|quarters?|months?|mos?|weeks?|wks?|days?)\\b";
+
+const UNIT_PATTERN = new RegExp(
+  `(\\d+(?:[.,]\\d+)?|\\d*\\s*½)\\s*-?\\s*${UNIT_WORDS}`,
+  "gi"
+);
+
+// "1 - 2 years", "6-12 months", "3 to 4 semesters"
+const RANGE_PATTERN = new RegExp(
+  `(\\d+(?:[.,]\\d+)?)\\s*(?:-|–|to)\\s*(\\d+(?:[.,]\\d+)?)\\s*${UNIT_WORDS}`,
+  "i"
+);
+
+/**
+ * Map a unit word ("yrs", "semesters", "mo") to a UNIT_MONTHS key
+ */
+function normalizeUnit(unit) {
+  const value = unit.toLowerCase();
+  if (value.startsWith("y")) return "year";
+  if (value.startsWith("s")) return "semester";
+  if (value.startsWith("tr")) return "trimester";
+  if (value.startsWith("te")) return "term";
+  if (value.startsWith("q")) return "quarter";
+  if (value.startsWith("mo")) return "month";
+  if (value.startsWith("w")) return "week";
+  return "day";
+}
+
+/**
+ * Parse "1.5", "1,5", "1½" or "½" into a number
+ */
+function parseQuantity(text) {
+  const value = text.replace(/\s+/g, "");
+  if (value.includes("½")) {
+    return (parseFloat(value.replace("½", "")) || 0) + 0.5;
+  }
+  return parseFloat(value.replace(",", "."));
+}
+
+/**
+ * Sum the duration parts of one phrase, e.g. "1 year 6 months" -> 18
+ * @returns {number|null} - Months, rounded to one decimal
+ */
+function sumMonths(text) {
+  let months = 0;
+  let matched = false;
+
+  for (const match of text.matchAll(UNIT_PATTERN)) {
+    const quantity = parseQuantity(match[1]);
+    if (!Number.isFinite(quantity)) continue;
+
+    months += quantity * UNIT_MONTHS[normalizeUnit(match[2])];
+    matched = true;
+  }
+
+  return matched ? Math.round(months * 10) / 10 : null;
+}
+
+/**
+ * Parse the free-text programme duration into months and study pace.
+ * When full-time and part-time durations are both given
+ * ("1 year full-time, 2 years part-time"), durationMonths is the full-time one.
+ * A range ("1 - 2 years") keeps its upper bound and is reported as an issue.
+ * @param {string} text - Duration text from .js-duration, e.g. "2 years", "18 months"
+ * @param {string} context - Surrounding text (QuickFact, degree tags) used to detect pace
+ * @returns {Object} - { durationMonths, partTimeDurationMonths, isFullTime,
+ *   isPartTime, error } where error says why the text couldn't be read
+ *   unambiguously (null otherwise)
+ */
+export function parseDuration(text, context = "") {
+  const duration = (text || "").replace(/\s+/g, " ").trim();
+  const paceText = `${duration} ${context || ""}`.toLowerCase();
+
+  const mentionsFullTime = /full[\s-]?time/.test(paceText);
+  const mentionsPartTime = /part[\s-]?time/.test(paceText);
+  const paceKnown = mentionsFullTime || mentionsPartTime;
+
+  const result = {
+    durationMonths: null,
+    partTimeDurationMonths: null,
+    isFullTime: paceKnown ? mentionsFullTime : null,
+    isPartTime: paceKnown ? mentionsPartTime : null,
+    error: null,
+  };
+
+  if (!duration) return result;
+
+  // Split "1 year full-time, 2 years part-time" into per-pace phrases
+  const fullTimePhrase = duration.match(/([^,;/]*?)\s*full[\s-]?time/i)?.[1];
+  const partTimePhrase = duration.match(/([^,;/]*?)\s*part[\s-]?time/i)?.[1];
+
+  const fullTimeMonths = fullTimePhrase ? sumMonths(fullTimePhrase) : null;
+  const partTimeMonths = partTimePhrase ? sumMonths(partTimePhrase) : null;
+
+  if (fullTimeMonths !== null || partTimeMonths !== null) {
+    result.durationMonths = fullTimeMonths ?? partTimeMonths;
+    result.partTimeDurationMonths = partTimeMonths;
+  } else {
+    result.durationMonths = sumMonths(duration);
+  }
+
+  const range = duration.match(RANGE_PATTERN);
+  if (result.durationMonths === null) {
+    result.error = `Unrecognised duration "${duration}"`;
+  } else if (range) {
+    const unitMonths = UNIT_MONTHS[normalizeUnit(range[3])];
+    const min = Math.round(parseQuantity(range[1]) * unitMonths * 10) / 10;
+    const max = Math.round(parseQuantity(range[2]) * unitMonths * 10) / 10;
+    result.error = `Duration range "${range[0]}" (${min}-${max} months), using the upper bound`;
+  }
+
+  return result;
+}
+
+/**
+ * Build the structured duration fields of a study record
+ * @param {string} duration - Duration text
+ * @param {string} context - Surrounding text used to detect pace
+ * @returns {Object} - durationMonths, partTimeDurationMonths, isFullTime,
+ *   isPartTime and parseIssues (empty unless the text couldn't be parsed)
+ */
+export function buildDurationFields(duration, context) {
+  const { error, ...fields } = parseDuration(duration, context);
+
+  return {
+    ...fields,
+    parseIssues: error
+      ? [{ field: "duration", value: duration, message: error }]
+      : [],
+  };
+}
@@ -0,0 +1,200 @@
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+const MONTH_NAME =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?";
+
+// A month name on its own must be capitalized, so words like "may" in
+// "we may accept late applications" are not read as a date
+const CAPITALIZED_MONTH_NAME =
+  "(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?";
+
+// "1 Sep 2026", "Sep 1, 2026", "Sep 2026", "2026-09-01", "2026-09", "September"
+const DATE_PATTERNS = [
+  { regex: /(\d{4})-(\d{2})(?:-(\d{2}))?/, order: ["year", "month", "day"] },
+  {
+    regex: new RegExp(`(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?\\s+(\\d{4})`, "i"),
+    order: ["day", "monthName", "year"],
+  },
+  {
+    regex: new RegExp(`${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, "i"),
+    order: ["monthName", "day", "year"],
+  },
+  {
+    regex: new RegExp(`${MONTH_NAME},?\\s+(\\d{4})`, "i"),
+    order: ["monthName", "year"],
+  },
+  { regex: new RegExp(`\\b${CAPITALIZED_MONTH_NAME}\\b`), order: ["monthName"] },
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Parse a start date or deadline into ISO form
+ * @param {string} text - Date text, e.g. "September 2026", "15 Jun 2026"
+ * @param {string} datetime - Optional <time datetime="..."> attribute (preferred)
+ * @returns {Object|null} - { text, date, month, year, precision } where date is
+ *   YYYY-MM-DD (day precision only) and month is YYYY-MM
+ */
+export function parseIntakeDate(text, datetime = null) {
+  for (const source of [datetime, text]) {
+    if (!source) continue;
+
+    for (const { regex, order } of DATE_PATTERNS) {
+      const match = String(source).match(regex);
+      if (!match) continue;
+
+      const parts = {};
+      order.forEach((key, i) => (parts[key] = match[i + 1]));
+
+      const year = parts.year ? parseInt(parts.year, 10) : null;
+      const month = parts.monthName
+        ? MONTHS[parts.monthName.slice(0, 3).toLowerCase()]
+        : parseInt(parts.month, 10);
+      const day = parts.day ? parseInt(parts.day, 10) : null;
+
+      if (!month || month > 12 || (day && day > 31)) continue;
+
+      return {
+        text: text || datetime,
+        date: year && day ? `${year}-${pad(month)}-${pad(day)}` : null,
+        month: year ? `${year}-${pad(month)}` : null,
+        monthOfYear: month,
+        year,
+        precision: day && year ? "day" : year ? "month" : "month-of-year",
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Which students a deadline line applies to
+ * @returns {string} - 'international' | 'eu' | 'all'
+ */
+function getAudience(line) {
+  if (/international|non[\s-]?eu|overseas/i.test(line)) return "international";
+  if (/\bEU\b|\bEEA\b|european|domestic|national|home/i.test(line)) return "eu";
+  return "all";
+}
+
+/**
+ * Sortable key for an intake or deadline
+ */
+function sortKey(entry) {
+  return entry.date || (entry.month ? `${entry.month}-01` : null);
+}
+
+/**
+ * Turn the start-date and deadline texts of a study page into structured
+ * intakes. Deadline lines are matched to the start date named on the same
+ * line or, failing that, to the first intake on or after the deadline.
+ * @param {Array<Object>} intakeDetails - { text, datetime } of each start date <time>
+ * @param {Array<string>} deadlineTexts - Texts of the page's deadline blocks
+ * @returns {Object} - { intakeDates, parseIssues }
+ */
+export function parseIntakes(intakeDetails = [], deadlineTexts = []) {
+  const parseIssues = [];
+  const intakes = [];
+
+  (intakeDetails || []).forEach(({ text, datetime }) => {
+    const parsed = parseIntakeDate(text, datetime);
+    if (!parsed) {
+      parseIssues.push({
+        field: "intakes",
+        value: text,
+        message: `Unrecognised start date "${text}"`,
+      });
+      return;
+    }
+
+    if (!intakes.some((i) => i.text === parsed.text)) {
+      intakes.push({ ...parsed, deadlines: {} });
+    }
+  });
+
+  const findIntake = (startDate) =>
+    intakes.find(
+      (i) =>
+        (startDate.month && i.month === startDate.month) ||
+        (!startDate.year && i.monthOfYear === startDate.monthOfYear)
+    );
+
+  (deadlineTexts || [])
+    .flatMap((text) => String(text).split(/\n|;|\|/))
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter((line) => /deadline|apply|application/i.test(line) || parseIntakeDate(line))
+    .forEach((line) => {
+      // "Start Sep 2026: apply before 15 Jun 2026 (international)"
+      const startMatch = line.match(/start[^:]*?:?\s*(.+?)(?:[,:-]\s*|\s+)(?:apply|deadline)/i);
+      const startDate = startMatch ? parseIntakeDate(startMatch[1]) : null;
+      const deadlinePart = startMatch ? line.slice(startMatch[0].length) : line;
+      const deadline = parseIntakeDate(deadlinePart);
+
+      if (!deadline) {
+        // Headings like "Application deadline" carry no date; a line that
+        // names a month we couldn't read as a date is worth a look
+        if (new RegExp(`\\b${MONTH_NAME}\\b`, "i").test(line)) {
+          parseIssues.push({
+            field: "deadlines",
+            value: line,
+            message: `Unrecognised deadline "${line}"`,
+          });
+        }
+        return;
+      }
+
+      let intake = startDate ? findIntake(startDate) : null;
+      if (!intake && startDate) {
+        intake = { ...startDate, deadlines: {} };
+        intakes.push(intake);
+      }
+      if (!intake) {
+        const deadlineKey = sortKey(deadline);
+        intake = intakes
+          .filter((i) => sortKey(i) && deadlineKey && sortKey(i) >= deadlineKey)
+          .sort((a, b) => sortKey(a).localeCompare(sortKey(b)))[0];
+      }
+      if (!intake && intakes.length === 1) intake = intakes[0];
+      if (!intake) {
+        parseIssues.push({
+          field: "deadlines",
+          value: line,
+          message: `Could not match deadline "${line}" to a start date`,
+        });
+        return;
+      }
+
+      const audience = getAudience(line);
+      const targets = audience === "all" ? ["international", "eu"] : [audience];
+      targets.forEach((target) => {
+        if (!intake.deadlines[target]) {
+          intake.deadlines[target] = {
+            text: line,
+            date: deadline.date,
+            month: deadline.month,
+            precision: deadline.precision,
+          };
+        }
+      });
+    });
+
+  const intakeDates = intakes
+    .map(({ monthOfYear, ...intake }) => intake)
+    .sort((a, b) => (sortKey(a) || "9999").localeCompare(sortKey(b) || "9999"));
+
+  return { intakeDates, parseIssues };
+}
@@ -0,0 +1,196 @@
+import { parseDuration } from "./parseDuration.js";
+import { ISO_COUNTRY_CURRENCY } from "../constants/iso_country_currency.js";
+
+// ISO 4217 codes of the currencies in use, so words like "per" in
+// "per year" are not taken for a currency code
+const ISO_CURRENCIES = new Set(
+  Object.values(ISO_COUNTRY_CURRENCY).map((c) => c.currency_code)
+);
+
+// Currency symbols the portal may render instead of an ISO code
+const CURRENCY_SYMBOLS = {
+  "£": "GBP",
+  "€": "EUR",
+  "US$": "USD",
+  $: "USD",
+  "A$": "AUD",
+  "AU$": "AUD",
+  "C$": "CAD",
+  "CA$": "CAD",
+  "¥": "JPY",
+  "₹": "INR",
+  "₨": "PKR",
+  Rs: "PKR",
+};
+
+// Order of fee targets in the tuitionFees field
+const FEE_TARGET_ORDER = ["international", "eu", "national", "domestic"];
+
+/**
+ * Parse a rendered amount like "12,500", "12.500", "9 250" or "1,234.50"
+ * @param {string} text - Amount text
+ * @returns {number|null} - Numeric amount
+ */
+export function parseFeeAmount(text) {
+  if (!text) return null;
+
+  let value = String(text).replace(/[^\d.,]/g, "");
+  if (!value) return null;
+
+  if (/^\d{1,3}([.,]\d{3})+$/.test(value)) {
+    // Only thousands separators: "12,500" or "12.500"
+    value = value.replace(/[.,]/g, "");
+  } else if (/,\d{1,2}$/.test(value)) {
+    // European decimals: "1.234,50" or "950,5"
+    value = value.replace(/\./g, "").replace(",", ".");
+  } else {
+    value = value.replace(/,/g, "");
+  }
+
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Normalize a currency label ("GBP", "£", "eur") to an ISO 4217 code
+ * @param {string} text - Currency text
+ * @returns {string|null} - ISO currency code, or null if the text names no
+ *   known currency
+ */
+export function parseFeeCurrency(text) {
+  if (!text) return null;
+
+  const value = String(text).trim();
+  const iso = Array.from(value.matchAll(/\b([A-Za-z]{3})\b/g))
+    .map((match) => match[1].toUpperCase())
+    .find((code) => ISO_CURRENCIES.has(code));
+  if (iso) return iso;
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .find((s) => value.includes(s));
+
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+}
+
+/**
+ * Map the fee unit ("/ year", "/ semester", "/ full programme", "/ credit")
+ * to a billing period
+ * @param {string} text - Unit text
+ * @returns {string|null} - 'year' | 'semester' | 'full-programme' | 'credit'
+ */
+export function parseFeePeriod(text) {
+  if (!text) return null;
+
+  const value = String(text).toLowerCase();
+  if (/year|annum|annual/.test(value)) return "year";
+  if (/semester/.test(value)) return "semester";
+  if (/full|programme|program|course|total/.test(value)) return "full-programme";
+  if (/credit|ects/.test(value)) return "credit";
+  return null;
+}
+
+/**
+ * Work out the yearly cost of a fee
+ * @param {number} amount - Fee amount
+ * @param {string} period - Billing period
+ * @param {number|null} durationMonths - Programme length in months
+ * @returns {number|null} - Annual amount, or null if it can't be derived
+ */
+function toAnnualAmount(amount, period, durationMonths) {
+  if (amount === null) return null;
+
+  switch (period) {
+    case "year":
+      return amount;
+    case "semester":
+      return amount * 2;
+    case "full-programme":
+      if (!durationMonths) return null;
+      // Programmes shorter than a year cost the full fee in that year
+      return Math.round(amount / Math.max(1, durationMonths / 12));
+    default:
+      // Per-credit fees depend on the study load, which the page doesn't give
+      return null;
+  }
+}
+
+/**
+ * Parse one fee container into structured values
+ * @param {Object} parts - { amount, currency, unit } texts from .TuitionFeeContainer
+ * @param {string} durationText - Programme duration text
+ * @returns {Object|null} - { raw, amount, currency, period, annualAmount }
+ */
+export function parseTuitionFee(parts, durationText = null) {
+  if (!parts) return null;
+
+  const raw =
+    [parts.amount, parts.currency, parts.unit].filter(Boolean).join(" ") ||
+    null;
+  const amount = parseFeeAmount(parts.amount);
+  const period = parseFeePeriod(parts.unit);
+
+  return {
+    raw,
+    amount,
+    currency: parseFeeCurrency(parts.currency),
+    period,
+    annualAmount: toAnnualAmount(
+      amount,
+      period,
+      parseDuration(durationText).durationMonths
+    ),
+  };
+}
+
+/**
+ * Build the structured tuition fields of a study record from the fee
+ * containers found on the page (international, EU, national, ...).
+ * The headline fields follow the international fee, like tuitionFee.
+ * @param {Object} feeParts - Fee texts keyed by container data-target
+ * @param {string} durationText - Programme duration text
+ * @returns {Object} - tuitionFeeAmount, tuitionFeeCurrency, tuitionFeePeriod,
+ *   tuitionFeeAnnual, tuitionFees (all parsed fees keyed by target) and
+ *   parseIssues (fees with a currency that couldn't be recognised)
+ */
+export function buildTuitionFeeFields(feeParts = {}, durationText = null) {
+  const tuitionFees = {};
+  const parseIssues = [];
+  Object.entries(feeParts || {}).forEach(([target, parts]) => {
+    const fee = parseTuitionFee(parts, durationText);
+    if (fee?.raw) tuitionFees[target] = fee;
+
+    if (parts?.currency && !fee.currency) {
+      parseIssues.push({
+        field: "tuitionFee",
+        value: parts.currency,
+        message: `Unrecognised currency "${parts.currency}" (${target} fee)`,
+      });
+    }
+  });
+
+  const headline = tuitionFees.international || null;
+
+  return {
+    tuitionFeeAmount: headline?.amount ?? null,
+    tuitionFeeCurrency: headline?.currency ?? null,
+    tuitionFeePeriod: headline?.period ?? null,
+    tuitionFeeAnnual: headline?.annualAmount ?? null,
+    tuitionFees: Object.keys(tuitionFees).length
+      ? Object.fromEntries(
+          Object.entries(tuitionFees).sort(
+            ([a], [b]) => rankTarget(a) - rankTarget(b)
+          )
+        )
+      : null,
+    parseIssues,
+  };
+}
+
+/**
+ * Sort position of a fee target (unknown targets go last)
+ */
+function rankTarget(target) {
+  const index = FEE_TARGET_ORDER.indexOf(target);
+  return index === -1 ? FEE_TARGET_ORDER.length : index;
+}
@@ -0,0 +1,57 @@
+import { PORTAL_REGISTRY } from "../constants/portal_registry.js";
+
+/**
+ * Look up a registered portal
+ * @param {string} portalType - Key of PORTAL_REGISTRY, e.g. 'masters'
+ * @returns {Object} - Portal settings plus its portalType
+ */
+export function getPortal(portalType) {
+  const portal = PORTAL_REGISTRY[portalType];
+
+  if (!portal) {
+    throw new Error(
+      `Unknown portal type "${portalType}". Registered: ${Object.keys(
+        PORTAL_REGISTRY
+      ).join(", ")}`
+    );
+  }
+
+  return { portalType, ...portal };
+}
+
+/**
+ * Search URL of a portal, optionally narrowed to a country
+ * @param {string} portalType - Key of PORTAL_REGISTRY
+ * @param {string} countryLabel - URL-safe country label, e.g. 'germany'
+ * @returns {string} - e.g. https://www.phdportal.com/search/phd/germany
+ */
+export function getPortalSearchUrl(portalType, countryLabel = "") {
+  const { baseUrl, searchSegment } = getPortal(portalType);
+  const searchUrl = `${baseUrl}/search/${searchSegment}`;
+
+  return countryLabel ? `${searchUrl}/${countryLabel}` : searchUrl;
+}
+
+/**
+ * Path segments that follow /search/ on any registered portal
+ * @returns {Array<string>}
+ */
+export function getSearchSegments() {
+  return Object.values(PORTAL_REGISTRY).map((portal) => portal.searchSegment);
+}
+
+/**
+ * Whether a URL is a search (listing) page of a registered portal
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isPortalSearchUrl(url) {
+  try {
+    const segments = new URL(url).pathname.split("/").filter(Boolean);
+    return (
+      segments[0] === "search" && getSearchSegments().includes(segments[1])
+    );
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,235 @@
+import fs from "fs";
+import path from "path";
+
+const RANKINGS_DIR = path.resolve("output", "rankings");
+
+/**
+ * Get the ranking history file of a portal/country
+ * e.g. output/rankings/masters-rankings_germany.jsonl
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ * @returns {string} - Full path to the JSONL file
+ */
+export function getRankingsPath(portalType, countryLabel) {
+  return path.join(RANKINGS_DIR, `${portalType}-rankings_${countryLabel}.jsonl`);
+}
+
+/**
+ * Turn a crawl's listings into ranking entries. `rank` is the position in
+ * the whole result list: (searchPage - 1) * page size + position, with the
+ * page size taken from the fullest result page of the run, so a page that
+ * was not crawled leaves a gap instead of shifting later ranks.
+ * @param {Array<Object>} listings - Listings from results.listings
+ * @param {Object} run - { runAt, portalType, countryLabel }
+ * @returns {Array<Object>} - Entries sorted by rank
+ */
+export function toRankingEntries(listings, { runAt, portalType, countryLabel }) {
+  const pageSize = Math.max(0, ...listings.map((l) => Number(l.position) || 0));
+
+  return listings
+    .map((listing) => {
+      const searchPage = Number(listing.searchPage) || 1;
+      const position = Number(listing.position);
+
+      return {
+        runAt,
+        portalType,
+        country: countryLabel,
+        studyId: listing.studyId,
+        title: listing.title || null,
+        university: listing.university || null,
+        searchPage,
+        position,
+        rank: (searchPage - 1) * pageSize + position,
+        featured: listing.featured === true || listing.featured === "true",
+      };
+    })
+    .sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Append one crawl's ranking entries to the portal/country history
+ * @param {Object} results - Results from crawler.crawl()
+ * @param {string} portalType - Portal type, e.g. 'masters' (see PORTAL_REGISTRY)
+ * @param {string} countryLabel - URL-safe country label
+ * @param {string} runAt - Run timestamp shared by all entries (default: now)
+ * @returns {Array<Object>} - Entries written (empty if the crawl had no
+ *   listings or was limited by search filters)
+ */
+export function recordRankings(
+  results,
+  portalType,
+  countryLabel,
+  runAt = new Date().toISOString()
+) {
+  // Positions in a filtered search don't compare with the country ranking
+  if (results.filters) {
+    console.log("  Rankings: not recorded for a filtered search");
+    return [];
+  }
+
+  const entries = toRankingEntries(results.listings || [], {
+    runAt,
+    portalType,
+    countryLabel,
+  });
+  if (entries.length === 0) return entries;
+
+  const file = getRankingsPath(portalType, countryLabel);
+  fs.mkdirSync(RANKINGS_DIR, { recursive: true });
+  fs.appendFileSync(
+    file,
+    entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n"
+  );
+
+  console.log(
+    `  Rankings: ${entries.length} positions → ${path.relative(process.cwd(), file)}`
+  );
+  return entries;
+}
+
+/**
+ * Read ranking entries from the history files
+ * @param {Object} filter
+ * @param {string} filter.portalType - Only this portal (default: all)
+ * @param {string} filter.countryLabel - Only this country (default: all)
+ * @returns {Array<Object>} - Entries in file order
+ */
+export function readRankings({ portalType, countryLabel } = {}) {
+  if (!fs.existsSync(RANKINGS_DIR)) return [];
+
+  return fs
+    .readdirSync(RANKINGS_DIR)
+    .filter((name) => {
+      const match = name.match(/^(.+)-rankings_(.+)\.jsonl$/);
+      return (
+        match &&
+        (!portalType || match[1] === portalType) &&
+        (!countryLabel || match[2] === countryLabel)
+      );
+    })
+    .flatMap((name) =>
+      fs
+        .readFileSync(path.join(RANKINGS_DIR, name), "utf8")
+        .split("\n")
+        .filter((line) => line.trim())
+        .flatMap((line) => {
+          try {
+            return [JSON.parse(line)];
+          } catch {
+            // A line cut off by an interrupted write
+            return [];
+          }
+        })
+    );
+}
+
+/**
+ * Group ranking entries into a history per university or per programme.
+ * Ranks are only comparable within one portal's search for one country, so
+ * each group is a (portal, country, university|programme) combination.
+ * @param {Array<Object>} entries - Entries from readRankings()
+ * @param {string} groupBy - 'university' or 'programme'
+ * @returns {Array<Object>} - { portalType, country, key, label, runs, change },
+ *   runs oldest first; change is the best rank's move since the previous run
+ *   (positive = moved up)
+ */
+export function buildRankingHistory(entries, groupBy = "university") {
+  const groups = new Map();
+
+  entries.forEach((entry) => {
+    const key =
+      groupBy === "programme" ? entry.studyId : entry.university || "(unknown)";
+    const groupKey = `${entry.portalType}|${entry.country}|${key}`;
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        portalType: entry.portalType,
+        country: entry.country,
+        key,
+        label:
+          groupBy === "programme"
+            ? `${entry.title || "N/A"} — ${entry.university || "N/A"}`
+            : key,
+        byRun: new Map(),
+      });
+    }
+
+    const { byRun } = groups.get(groupKey);
+    if (!byRun.has(entry.runAt)) byRun.set(entry.runAt, []);
+    byRun.get(entry.runAt).push(entry);
+  });
+
+  return Array.from(groups.values())
+    .map(({ byRun, ...group }) => {
+      const runs = Array.from(byRun.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([runAt, runEntries]) => {
+          const ranks = runEntries.map((e) => e.rank).sort((a, b) => a - b);
+          return {
+            runAt,
+            programmes: runEntries.length,
+            bestRank: ranks[0],
+            averageRank: Math.round(
+              ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length
+            ),
+            firstPage: runEntries.filter((e) => e.searchPage === 1).length,
+            featured: runEntries.filter((e) => e.featured).length,
+          };
+        });
+
+      const [previous, latest] = runs.slice(-2);
+      return {
+        ...group,
+        runs,
+        change: latest ? previous.bestRank - latest.bestRank : null,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.portalType.localeCompare(b.portalType) ||
+        a.country.localeCompare(b.country) ||
+        a.runs[a.runs.length - 1].bestRank - b.runs[b.runs.length - 1].bestRank
+    );
+}
+
+/**
+ * Render a ranking history as human-readable text
+ * @param {Array<Object>} history - Result of buildRankingHistory()
+ * @param {string} title - Report heading
+ * @returns {string} - Text report
+ */
+export function formatRankingReport(history, title = "Search Ranking History") {
+  const lines = [title, "=".repeat(title.length)];
+  lines.push(`Generated: ${new Date().toISOString()}`);
+
+  let section = null;
+  history.forEach((group) => {
+    const groupSection = `${group.portalType} / ${group.country}`;
+    if (groupSection !== section) {
+      section = groupSection;
+      lines.push("", `--- ${section} ---`);
+    }
+
+    const move =
+      group.change === null
+        ? ""
+        : group.change > 0
+        ? ` ▲${group.change}`
+        : group.change < 0
+        ? ` ▼${-group.change}`
+        : " =";
+    lines.push(`  ${group.label}${move}`);
+
+    group.runs.forEach((run) => {
+      lines.push(
+        `      ${run.runAt.slice(0, 10)}  best #${run.bestRank}, avg #${run.averageRank}, ` +
+          `${run.programmes} listed (${run.firstPage} on page 1${
+            run.featured ? `, ${run.featured} featured` : ""
+          })`
+      );
+    });
+  });
+
+  return lines.join("\n") + "\n";
+}
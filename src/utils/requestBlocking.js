@@ -0,0 +1,97 @@
+/**
+ * Resource types never needed to read a study or search page. Scripts, XHR
+ * and stylesheets stay allowed: the pages are rendered by Vue.
+ */
+export const DEFAULT_BLOCKED_RESOURCE_TYPES = ["image", "media", "font"];
+
+/**
+ * Analytics, ad and tracker hosts (matched against the request URL)
+ */
+export const DEFAULT_BLOCKED_URL_PATTERNS = [
+  "google-analytics.com",
+  "googletagmanager.com",
+  "googleadservices.com",
+  "googlesyndication.com",
+  "doubleclick.net",
+  "adservice.google.",
+  "connect.facebook.net",
+  "facebook.com/tr",
+  "analytics.tiktok.com",
+  "snap.licdn.com",
+  "bat.bing.com",
+  "clarity.ms",
+  "hotjar.com",
+  "hotjar.io",
+  "segment.io",
+  "cdn.segment.com",
+  "optimizely.com",
+  "criteo.com",
+  "taboola.com",
+  "outbrain.com",
+  "quantserve.com",
+  "scorecardresearch.com",
+];
+
+/**
+ * First pattern (substring or RegExp) a URL matches
+ * @param {string} url - Request URL
+ * @param {Array<string|RegExp>} patterns - Patterns to test
+ * @returns {string|RegExp|undefined} - Matching pattern
+ */
+export function matchUrlPattern(url, patterns) {
+  return patterns.find((pattern) =>
+    pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)
+  );
+}
+
+/**
+ * Create a Playwright route handler that aborts unneeded requests and counts
+ * what it blocked
+ * @param {Object} options
+ * @param {Array<string>} options.resourceTypes - Resource types to block (default: DEFAULT_BLOCKED_RESOURCE_TYPES)
+ * @param {Array<string|RegExp>} options.urlPatterns - URL patterns to block (default: DEFAULT_BLOCKED_URL_PATTERNS)
+ * @returns {Object} - { handleRoute, getStats }
+ */
+export function createRequestBlocker(options = {}) {
+  const resourceTypes = options.resourceTypes || DEFAULT_BLOCKED_RESOURCE_TYPES;
+  const urlPatterns = options.urlPatterns || DEFAULT_BLOCKED_URL_PATTERNS;
+
+  const stats = {
+    allowed: 0,
+    blocked: 0,
+    byResourceType: {},
+    byPattern: {},
+  };
+
+  async function handleRoute(route) {
+    const request = route.request();
+    const type = request.resourceType();
+    // The page itself is never blocked, whatever its URL
+    const pattern =
+      type === "document" ? null : matchUrlPattern(request.url(), urlPatterns);
+
+    if (resourceTypes.includes(type) || pattern) {
+      stats.blocked++;
+      stats.byResourceType[type] = (stats.byResourceType[type] || 0) + 1;
+      if (pattern) {
+        const key = String(pattern);
+        stats.byPattern[key] = (stats.byPattern[key] || 0) + 1;
+      }
+      await route.abort("blockedbyclient").catch(() => {});
+      return;
+    }
+
+    stats.allowed++;
+    await route.continue().catch(() => {});
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      byResourceType: { ...stats.byResourceType },
+      byPattern: { ...stats.byPattern },
+    };
+  }
+
+  return { handleRoute, getStats };
+}
@@ -0,0 +1,46 @@
+import { matchUrlPattern } from "./requestBlocking.js";
+
+/**
+ * API hosts the StudyPortals Vue apps load their data from
+ */
+export const DEFAULT_RESPONSE_PATTERNS = [/\.prtl\.co\//, /\/api\//];
+
+/**
+ * Record the JSON responses a page receives from matching URLs. Must be
+ * attached before navigating.
+ * @param {Object} page - Playwright page
+ * @param {Array<string|RegExp>} patterns - URL patterns to capture
+ * @returns {Object} - { responses, settle, stop } where responses fills up
+ *   with { url, status, data } and settle() waits for bodies still being read
+ */
+export function captureJsonResponses(page, patterns) {
+  const responses = [];
+  const pending = new Set();
+
+  const onResponse = (response) => {
+    const url = response.url();
+    if (!matchUrlPattern(url, patterns)) return;
+
+    const contentType = response.headers()["content-type"] || "";
+    if (!contentType.includes("json")) return;
+
+    const task = response
+      .json()
+      .then((data) => responses.push({ url, status: response.status(), data }))
+      .catch(() => {})
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  };
+
+  page.on("response", onResponse);
+
+  return {
+    responses,
+    async settle() {
+      await Promise.all(Array.from(pending));
+    },
+    stop() {
+      page.off("response", onResponse);
+    },
+  };
+}
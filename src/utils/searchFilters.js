@@ -0,0 +1,91 @@
+import { SEARCH_FILTER_PARAMS } from "../constants/search_filters.js";
+
+// Query parameters every search page may carry, filtered or not
+const PAGINATION_PARAMS = ["page", "ref"];
+
+/**
+ * Query parameter names of a portal's search filters
+ * @param {Object} portal - Portal from getPortal()
+ * @returns {Object} - Filter name -> query parameter
+ */
+export function getFilterParamNames(portal) {
+  return { ...SEARCH_FILTER_PARAMS, ...(portal?.searchFilterParams || {}) };
+}
+
+/**
+ * Text of one filter value: ranges as "min-max" (open ends left empty),
+ * lists comma-separated
+ */
+function toParamValue(value) {
+  if (Array.isArray(value)) return value.join(",");
+  if (value && typeof value === "object") {
+    return `${value.min ?? ""}-${value.max ?? ""}`;
+  }
+  return String(value);
+}
+
+/**
+ * Translate a filter spec into search URL query parameters
+ * @param {Object} filters - e.g. { discipline: 'computer-science', studyMode: 'online', tuition: { max: 10000 } }
+ * @param {Object} paramNames - Filter name -> query parameter (see getFilterParamNames)
+ * @returns {Object} - Query parameter -> value, empty if there are no filters
+ * @throws {Error} - For filters the portal has no parameter for
+ */
+export function toSearchParams(filters, paramNames = SEARCH_FILTER_PARAMS) {
+  const params = {};
+
+  Object.entries(filters || {}).forEach(([name, value]) => {
+    if (value === undefined || value === null || value === "") return;
+
+    if (!paramNames[name]) {
+      throw new Error(
+        `Unknown search filter "${name}". Available: ${Object.keys(
+          paramNames
+        ).join(", ")}`
+      );
+    }
+
+    params[paramNames[name]] = toParamValue(value);
+  });
+
+  return params;
+}
+
+/**
+ * Add filter parameters to a search URL
+ * @param {string} searchUrl - Unfiltered search URL, e.g. from getPortalSearchUrl()
+ * @param {Object} searchParams - Result of toSearchParams()
+ * @returns {string} - Filtered search URL
+ */
+export function buildFilteredSearchUrl(searchUrl, searchParams) {
+  const url = new URL(searchUrl);
+  Object.entries(searchParams).forEach(([param, value]) =>
+    url.searchParams.set(param, value)
+  );
+  return url.toString();
+}
+
+/**
+ * Check that a search URL belongs to the filtered search: it carries every
+ * filter parameter with the expected value and nothing else besides
+ * pagination. Without filters, only pagination parameters are allowed.
+ * @param {string} url - Search page URL
+ * @param {Object} searchParams - Result of toSearchParams()
+ * @returns {boolean}
+ */
+export function matchesSearchParams(url, searchParams = {}) {
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    return false;
+  }
+
+  const expected = Object.entries(searchParams);
+
+  return (
+    [...params.keys()].every(
+      (param) => PAGINATION_PARAMS.includes(param) || param in searchParams
+    ) && expected.every(([param, value]) => params.get(param) === value)
+  );
+}
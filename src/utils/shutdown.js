@@ -0,0 +1,59 @@
+import os from "os";
+
+export const SHUTDOWN_SIGNALS = ["SIGINT", "SIGTERM"];
+
+const listeners = new Set();
+let shutdownSignal = null;
+let installed = false;
+
+/**
+ * Exit code of a process stopped by a signal: 128 + the signal number
+ * (SIGINT: 130, SIGTERM: 143)
+ * @param {string} signal - Signal name
+ * @returns {number} - Exit code
+ */
+export function getShutdownExitCode(signal) {
+  return 128 + (os.constants.signals[signal] || 0);
+}
+
+/**
+ * Signal that asked the process to shut down, if any
+ * @returns {string|null} - e.g. 'SIGINT'
+ */
+export function getShutdownSignal() {
+  return shutdownSignal;
+}
+
+function handleSignal(signal) {
+  // A second signal means the user doesn't want to wait
+  if (shutdownSignal) {
+    console.log(`\n${signal} received again, exiting without cleanup`);
+    process.exit(getShutdownExitCode(signal));
+  }
+
+  shutdownSignal = signal;
+  console.log(
+    `\n🛑 ${signal} received, finishing up (send it again to exit immediately)`
+  );
+  listeners.forEach((listener) => listener(signal));
+}
+
+/**
+ * Call a listener on the first SIGINT/SIGTERM instead of letting the signal
+ * kill the process. Installs the process handlers on first use; from then
+ * on a signal only ends the process when it arrives a second time.
+ * @param {Function} listener - Called with the signal name (right away if
+ *   a signal was already received)
+ * @returns {Function} - Removes the listener
+ */
+export function onShutdown(listener) {
+  if (!installed) {
+    SHUTDOWN_SIGNALS.forEach((signal) => process.on(signal, handleSignal));
+    installed = true;
+  }
+
+  listeners.add(listener);
+  if (shutdownSignal) listener(shutdownSignal);
+
+  return () => listeners.delete(listener);
+}
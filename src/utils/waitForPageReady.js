@@ -0,0 +1,122 @@
+import { isPortalSearchUrl } from "./portals.js";
+
+/**
+ * What to wait for on each page type before reading the page:
+ * - selectors: must exist and (unless requireText is false) have text
+ * - optionalSelectors: waited for a short grace period, not required
+ *   (e.g. fee containers, missing on programmes without fees)
+ * - timeout: ceiling in ms
+ */
+export const DEFAULT_WAIT_STRATEGIES = {
+  search: {
+    selectors: ['a[href*="/studies/"]'],
+    requireText: false,
+    optionalSelectors: [],
+    timeout: 30000,
+  },
+  study: {
+    selectors: ["#Hero .StudyTitle", "#QuickFacts .QuickFactComponent"],
+    optionalSelectors: [".TuitionFeeContainer"],
+    optionalTimeout: 3000,
+    timeout: 20000,
+  },
+  other: {
+    selectors: [],
+    optionalSelectors: [],
+    networkIdle: true,
+    timeout: 15000,
+  },
+};
+
+/**
+ * Merge per-portal or per-crawler overrides into the default strategies
+ * @param {...Object} overrides - Partial strategies keyed by page type
+ * @returns {Object} - Strategies keyed by page type
+ */
+export function mergeWaitStrategies(...overrides) {
+  const merged = {};
+
+  Object.keys(DEFAULT_WAIT_STRATEGIES).forEach((type) => {
+    merged[type] = Object.assign(
+      {},
+      DEFAULT_WAIT_STRATEGIES[type],
+      ...overrides.map((o) => o?.[type] || {})
+    );
+  });
+
+  return merged;
+}
+
+/**
+ * Page type of a portal URL
+ * @param {string} url - Page URL
+ * @returns {string} - 'study' | 'search' | 'other'
+ */
+export function getPageType(url) {
+  if (/\/studies\/\d+\//.test(url)) return "study";
+  if (isPortalSearchUrl(url) || url.includes("/search/")) return "search";
+  return "other";
+}
+
+/**
+ * Wait until the page's required selectors are rendered with content, or
+ * the ceiling is reached
+ * @param {Object} page - Playwright page
+ * @param {Object} strategy - Wait strategy for the page type
+ * @param {number} maxWait - Ceiling in ms (overrides a longer strategy timeout)
+ * @returns {Promise<Object>} - { ready, waitedMs, missing }
+ */
+export async function waitForPageReady(page, strategy, maxWait = Infinity) {
+  const started = Date.now();
+  const timeout = Math.min(strategy.timeout, maxWait);
+  const selectors = strategy.selectors || [];
+
+  if (strategy.networkIdle) {
+    await page
+      .waitForLoadState("networkidle", { timeout })
+      .catch(() => {});
+  }
+
+  let ready = true;
+  if (selectors.length > 0) {
+    ready = await page
+      .waitForFunction(
+        ({ sels, requireText }) =>
+          sels.every((sel) => {
+            const el = document.querySelector(sel);
+            return el && (!requireText || el.textContent.trim().length > 0);
+          }),
+        { sels: selectors, requireText: strategy.requireText !== false },
+        { timeout }
+      )
+      .then(() => true)
+      .catch(() => false);
+  }
+
+  const optional = strategy.optionalSelectors || [];
+  if (ready && optional.length > 0) {
+    const grace = Math.min(
+      strategy.optionalTimeout || 0,
+      Math.max(0, timeout - (Date.now() - started))
+    );
+    await page
+      .waitForFunction(
+        (sels) => sels.every((sel) => document.querySelector(sel)),
+        optional,
+        { timeout: grace }
+      )
+      .catch(() => {});
+  }
+
+  const missing = ready
+    ? []
+    : await page
+        .evaluate(
+          (sels) =>
+            sels.filter((sel) => !document.querySelector(sel)?.textContent.trim()),
+          selectors
+        )
+        .catch(() => selectors);
+
+  return { ready, waitedMs: Date.now() - started, missing };
+}
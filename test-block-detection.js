@@ -0,0 +1,26 @@
+// Offline check of challenge and block page detection
+import assert from "assert";
+import { detectBlockPage } from "./src/utils/detectBlockPage.js";
+
+// Real pages can mention "access denied" in their text; only short pages are read
+const longPage = `<p>Access denied to students without a degree</p>${"x".repeat(60000)}`;
+
+// [description, page, expected kind (null = normal page)]
+const cases = [
+  ["Cloudflare interstitial title", { title: "Just a moment..." }, "challenge"],
+  ["Turnstile widget", { html: "<div class='cf-turnstile'></div>" }, "challenge"],
+  ["HTTP 429", { status: 429 }, "rate-limited"],
+  ["block page text", { html: "<h1>Sorry, you have been blocked</h1>" }, "blocked"],
+  ["error 1020 title", { title: "Error 1020: Access denied" }, "blocked"],
+  ["long page mentioning access denied", { html: longPage, title: "MSc Law", status: 200 }, null],
+  ["normal page", { html: "<html><h1>MSc Physics</h1></html>", title: "MSc Physics", status: 200 }, null],
+];
+
+console.log("Testing block page detection:\n");
+cases.forEach(([description, page, expected]) => {
+  const result = detectBlockPage(page);
+  assert.strictEqual(result?.kind ?? null, expected, description);
+  console.log(`✓ ${description} -> ${result ? result.reason : "normal page"}`);
+});
+
+console.log("\nAll block page checks passed");
@@ -0,0 +1,77 @@
+// Offline check of crawl checkpoint files
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getCheckpointPath,
+  readCheckpointFile,
+  removeCheckpointFile,
+  sameStartUrls,
+  writeCheckpointFile,
+} from "./src/utils/crawlCheckpoint.js";
+
+const target = "https://www.mastersportal.com/search/master/germany";
+const retryUrls = [
+  "https://www.mastersportal.com/studies/2/b.html",
+  "https://www.mastersportal.com/studies/1/a.html",
+];
+
+console.log("Testing crawl checkpoints:\n");
+
+// One file per crawler and target; own start URLs and index-only crawls
+// get files of their own
+const mainFile = getCheckpointPath("MastersPortalCountryCrawler", target);
+assert.strictEqual(
+  path.basename(mainFile),
+  "MastersPortalCountryCrawler_www-mastersportal-com-search-master-germany.json"
+);
+assert.strictEqual(getCheckpointPath("MastersPortalCountryCrawler", target, [target]), mainFile);
+const retryFile = getCheckpointPath("MastersPortalCountryCrawler", target, retryUrls);
+assert.notStrictEqual(retryFile, mainFile);
+assert.strictEqual(
+  getCheckpointPath("MastersPortalCountryCrawler", target, [...retryUrls].reverse()),
+  retryFile
+);
+const indexFile = getCheckpointPath("MastersPortalCountryCrawler", target, [target], {
+  indexOnly: true,
+});
+assert.match(path.basename(indexFile), /_index\.json$/);
+console.log(`✓ ${path.basename(retryFile)}`);
+console.log(`✓ ${path.basename(indexFile)}`);
+
+assert.ok(sameStartUrls(retryUrls, [...retryUrls].reverse()));
+assert.ok(!sameStartUrls(retryUrls, retryUrls.slice(1)));
+assert.ok(!sameStartUrls([target], retryUrls.slice(1)));
+console.log("✓ start URLs compared in any order");
+
+// Write, read back and remove, in a scratch directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+const file = path.join(dir, "nested", "crawl.json");
+try {
+  writeCheckpointFile(file, { targetUrl: target, urlsToVisit: retryUrls });
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ["crawl.json"]);
+
+  const state = readCheckpointFile(file);
+  assert.strictEqual(state.version, 1);
+  assert.strictEqual(state.targetUrl, target);
+  assert.deepStrictEqual(state.urlsToVisit, retryUrls);
+  assert.ok(state.savedAt);
+  console.log("✓ written via temp file and read back");
+
+  // A truncated file or one from another version is ignored, not thrown
+  fs.writeFileSync(file, '{"version": 1, "targetUrl": ');
+  assert.strictEqual(readCheckpointFile(file), null);
+  fs.writeFileSync(file, JSON.stringify({ version: 99 }));
+  assert.strictEqual(readCheckpointFile(file), null);
+  assert.strictEqual(readCheckpointFile(path.join(dir, "missing.json")), null);
+  console.log("✓ truncated, unknown-version and missing files -> null");
+
+  removeCheckpointFile(file);
+  assert.ok(!fs.existsSync(file));
+  console.log("✓ removed");
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log("\nAll checkpoint checks passed");
@@ -1,4 +1,4 @@
-import { COUNTRY_CURRENCY_MAP } from "./src/constants/country_currency_map.js";
+import { loadCountryConfig } from "./src/utils/countryConfig.js";
 import MastersPortalCountryCrawler from "./src/crawlers/MastersPortalCountryCrawler.js";
 import BachelorsPortalCountryCrawler from "./src/crawlers/BachelorsPortalCountryCrawler.js";
 
@@ -12,7 +12,7 @@ async function testCountryCrawler() {
 
   // Test with UK
   const countryKey = "UK";
-  const { url_safe_label: countryLabel } = COUNTRY_CURRENCY_MAP[countryKey];
+  const { url_safe_label: countryLabel } = loadCountryConfig()[countryKey];
 
   console.log(`Testing with: ${countryKey} (${countryLabel})\n`);
 
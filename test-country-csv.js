@@ -0,0 +1,82 @@
+// Offline check of country CSV upserts
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { escapeCSV, STUDY_CSV_HEADERS } from "./src/utils/csv.js";
+
+// The writer puts files under ./output, so run it in a scratch directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "country-csv-"));
+process.chdir(dir);
+const { upsertCountryCSV, flushCountryCSV, readCountryCSV, getCountryCSVPath } =
+  await import("./src/utils/csvWriterByCountry.js");
+
+const study = (id, slug) =>
+  `https://www.mastersportal.com/studies/${id}/${slug}.html`;
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+console.log("Testing country CSV upserts:\n");
+
+try {
+  upsertCountryCSV(
+    { sourceUrl: study(1, "data-science"), courseName: "Data Science", extractedAt: "2026-01-01T00:00:00.000Z" },
+    "masters",
+    "germany"
+  );
+  upsertCountryCSV(
+    { sourceUrl: study(2, "physics"), courseName: "Physics", extractedAt: "2026-01-01T00:00:00.000Z" },
+    "masters",
+    "germany"
+  );
+
+  // Upserts stay in memory until flushed
+  const csvFile = getCountryCSVPath("masters", "germany");
+  assert.ok(!fs.existsSync(csvFile));
+  flushCountryCSV("masters", "germany");
+  const [first] = readCountryCSV("masters", "germany");
+  console.log("✓ written on flush only");
+
+  // Same study ID under another slug and query: updated, not added
+  await tick();
+  upsertCountryCSV(
+    {
+      sourceUrl: `${study(1, "data-science-msc")}?ref=search`,
+      courseName: "Data Science (MSc)",
+      extractedAt: "2026-02-01T00:00:00.000Z",
+    },
+    "masters",
+    "germany"
+  );
+  flushCountryCSV("masters", "germany");
+
+  const rows = readCountryCSV("masters", "germany");
+  assert.deepStrictEqual(
+    rows.map((row) => row.courseName),
+    ["Data Science (MSc)", "Physics"]
+  );
+  assert.strictEqual(rows[0].extractedAt, "2026-01-01T00:00:00.000Z");
+  assert.ok(rows[0].updatedAt > first.updatedAt, "updatedAt bumped");
+  console.log("✓ deduped by study ID, extractedAt kept, updatedAt bumped");
+
+  // Old append-only files with duplicate rows collapse on read, keeping the
+  // first extractedAt
+  const duplicate = {
+    courseName: "Physics (new)",
+    sourceUrl: study(2, "physics"),
+    extractedAt: "2026-03-01T00:00:00.000Z",
+  };
+  fs.appendFileSync(
+    csvFile,
+    STUDY_CSV_HEADERS.map((h) => escapeCSV(duplicate[h])).join(",") + "\n"
+  );
+  const collapsed = readCountryCSV("masters", "germany");
+  assert.strictEqual(collapsed.length, 2);
+  assert.strictEqual(collapsed[1].courseName, "Physics (new)");
+  assert.strictEqual(collapsed[1].extractedAt, "2026-01-01T00:00:00.000Z");
+  console.log("✓ duplicate rows of old files collapse into one");
+} finally {
+  process.chdir(os.tmpdir());
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log("\nAll country CSV checks passed");
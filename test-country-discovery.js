@@ -0,0 +1,53 @@
+// Offline check of country discovery from a portal page
+import assert from "assert";
+import * as cheerio from "cheerio";
+import {
+  buildCountryConfig,
+  parseCountryLinks,
+  toUrlSafeLabel,
+} from "./src/utils/countryDiscovery.js";
+import { getPortal } from "./src/utils/portals.js";
+
+// Country filter of a search page plus a country page link, as the portal
+// renders them
+const fixture = `
+  <ul class="FilterOptions">
+    <li><a href="/search/master/germany">Germany (2,154)</a></li>
+    <li><a href="https://www.mastersportal.com/search/master/united-kingdom/">United Kingdom 3,402 programmes</a></li>
+    <li><a href="/search/master/turkiye">Türkiye (412)</a></li>
+    <li><a href="/search/master/europe">Europe (18,220)</a></li>
+    <li><a href="/search/master/germany">Germany</a></li>
+    <li><a href="/search/bachelor/france">France (900)</a></li>
+    <li><a href="/search/master/germany/computer-science">Computer Science</a></li>
+  </ul>
+  <a href="/countries/57/pakistan.html">Pakistan</a>
+  <a href="http://[broken">Broken link</a>
+`;
+
+console.log("Testing country discovery:\n");
+
+assert.strictEqual(toUrlSafeLabel("Côte d'Ivoire"), "cote-d-ivoire");
+assert.strictEqual(toUrlSafeLabel("United Kingdom"), "united-kingdom");
+console.log("✓ URL-safe labels");
+
+const discovered = parseCountryLinks(cheerio.load(fixture), getPortal("masters"));
+assert.deepStrictEqual(discovered, [
+  { name: "Germany", url_safe_label: "germany" },
+  { name: "United Kingdom", url_safe_label: "united-kingdom" },
+  { name: "Türkiye", url_safe_label: "turkiye" },
+  { name: "Europe", url_safe_label: "europe" },
+  { name: "Pakistan", url_safe_label: "pakistan" },
+]);
+console.log("✓ country filter and country page links, counts stripped, duplicates and other portals skipped");
+
+const { countries, unmatched } = buildCountryConfig(discovered);
+assert.deepStrictEqual(countries, {
+  Germany: { currency_code: "EUR", url_safe_label: "germany", iso_code: "DE" },
+  "United Kingdom": { currency_code: "GBP", url_safe_label: "united-kingdom", iso_code: "GB" },
+  Turkey: { currency_code: "TRY", url_safe_label: "turkiye", iso_code: "TR" },
+  Pakistan: { currency_code: "PKR", url_safe_label: "pakistan", iso_code: "PK" },
+});
+assert.deepStrictEqual(unmatched, [{ name: "Europe", url_safe_label: "europe" }]);
+console.log("✓ currencies from the ISO table, aliases resolved, regions unmatched");
+
+console.log("\nAll country discovery checks passed");
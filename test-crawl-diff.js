@@ -0,0 +1,67 @@
+// Offline check of change reports between crawl runs
+import assert from "assert";
+import { diffCrawlRecords } from "./src/utils/crawlDiff.js";
+
+const study = (id) => `https://www.mastersportal.com/studies/${id}/course.html`;
+
+// Rows as read back from the country CSV of the previous run
+const previousRows = [
+  { sourceUrl: study(1), courseName: "Data Science", tuitionFee: "12,000 EUR / year" },
+  { sourceUrl: study(2), courseName: "Physics", tuitionFee: "9,000 EUR / year" },
+  { sourceUrl: study(3), courseName: "History", tuitionFee: "" },
+  {
+    sourceUrl: study(4),
+    courseName: "Law",
+    languageRequirements: JSON.stringify({ IELTS: "6.5" }),
+  },
+];
+
+// Records of the new crawl: 1 unchanged, 2 fee changed, 3 missing,
+// 4 IELTS score changed, 5 new
+const currentRecords = [
+  { sourceUrl: study(1), courseName: "Data Science", tuitionFee: "12,000 EUR / year" },
+  { sourceUrl: study(2), courseName: "Physics", tuitionFee: "9,500 EUR / year" },
+  { sourceUrl: study(4), courseName: "Law", languageRequirements: { IELTS: "7.0" } },
+  { sourceUrl: study(5), courseName: "Biology", tuitionFee: "" },
+];
+
+console.log("Testing change reports:\n");
+
+const report = diffCrawlRecords(previousRows, currentRecords, {
+  crawlComplete: true,
+});
+assert.deepStrictEqual(report.summary, {
+  previousCount: 4,
+  currentCount: 4,
+  added: 1,
+  removed: 1,
+  notRecrawled: 0,
+  changed: 2,
+  unchanged: 1,
+});
+assert.deepStrictEqual(report.added.map((item) => item.studyId), ["5"]);
+assert.deepStrictEqual(report.removed.map((item) => item.studyId), ["3"]);
+assert.deepStrictEqual(
+  report.changed.map((item) => [item.studyId, item.changes]),
+  [
+    ["2", [{ field: "tuitionFee", before: "9,000 EUR / year", after: "9,500 EUR / year" }]],
+    ["4", [{ field: "languageRequirements.IELTS", before: "6.5", after: "7.0" }]],
+  ]
+);
+console.log("✓ added, removed, changed and unchanged programmes");
+
+// A crawl that stopped early, or whose study page failed, removes nothing
+const partial = diffCrawlRecords(previousRows, currentRecords);
+assert.strictEqual(partial.summary.removed, 0);
+assert.deepStrictEqual(partial.notRecrawled.map((item) => item.studyId), ["3"]);
+console.log("✓ incomplete crawl -> missing programme not re-crawled");
+
+const failed = diffCrawlRecords(previousRows, currentRecords, {
+  crawlComplete: true,
+  failedStudyIds: ["3"],
+});
+assert.strictEqual(failed.summary.removed, 0);
+assert.deepStrictEqual(failed.notRecrawled.map((item) => item.studyId), ["3"]);
+console.log("✓ failed study page -> not re-crawled");
+
+console.log("\nAll change report checks passed");
@@ -0,0 +1,80 @@
+// Offline check of tuition fee conversion into a reporting currency
+import assert from "assert";
+import {
+  convertTuitionFees,
+  getExchangeRate,
+  loadExchangeRates,
+} from "./src/utils/convertCurrency.js";
+
+// Rates against EUR, as in src/constants/exchange_rates.json
+const table = {
+  version: "test-1",
+  date: "2026-01-01",
+  base: "EUR",
+  rates: { EUR: 1, GBP: 0.8, USD: 1.25 },
+};
+
+console.log("Testing currency conversion:\n");
+
+assert.strictEqual(getExchangeRate("EUR", "EUR", table), 1);
+assert.strictEqual(getExchangeRate("GBP", "EUR", table), 1.25);
+assert.strictEqual(getExchangeRate("GBP", "USD", table), 1.5625);
+assert.strictEqual(getExchangeRate("XYZ", "EUR", table), null);
+console.log("✓ rates between any two currencies of the table");
+
+const record = {
+  tuitionFeeAmount: 20000,
+  tuitionFeeCurrency: "GBP",
+  tuitionFeeAnnual: 10000,
+  tuitionFees: {
+    international: { amount: 20000, currency: "GBP", annualAmount: 10000 },
+    eu: { amount: 9000, currency: "EUR", annualAmount: 4500 },
+  },
+};
+
+const converted = convertTuitionFees(record, "EUR", table);
+assert.deepStrictEqual(
+  {
+    reportingCurrency: converted.reportingCurrency,
+    tuitionFeeAmountReporting: converted.tuitionFeeAmountReporting,
+    tuitionFeeAnnualReporting: converted.tuitionFeeAnnualReporting,
+    exchangeRate: converted.exchangeRate,
+    exchangeRateDate: converted.exchangeRateDate,
+    exchangeRatesVersion: converted.exchangeRatesVersion,
+  },
+  {
+    reportingCurrency: "EUR",
+    tuitionFeeAmountReporting: 25000,
+    tuitionFeeAnnualReporting: 12500,
+    exchangeRate: 1.25,
+    exchangeRateDate: "2026-01-01",
+    exchangeRatesVersion: "test-1",
+  }
+);
+assert.deepStrictEqual(converted.tuitionFees.eu.reporting, {
+  currency: "EUR",
+  amount: 9000,
+  annualAmount: 4500,
+  rate: 1,
+});
+assert.strictEqual(converted.tuitionFeeAmount, 20000);
+console.log("✓ 20,000 GBP -> 25,000 EUR, per-target fees converted too");
+
+// A currency missing from the table leaves the converted fields empty
+const unknown = convertTuitionFees(
+  { tuitionFeeAmount: 500000, tuitionFeeCurrency: "XYZ", tuitionFeeAnnual: null },
+  "EUR",
+  table
+);
+assert.strictEqual(unknown.exchangeRate, null);
+assert.strictEqual(unknown.tuitionFeeAmountReporting, null);
+assert.strictEqual(unknown.tuitionFeeAnnualReporting, null);
+assert.strictEqual(unknown.exchangeRatesVersion, "test-1");
+console.log("✓ unknown currency -> no converted amounts");
+
+// The bundled table loads and knows the reporting currencies in use
+const bundled = loadExchangeRates();
+["EUR", "USD", "GBP"].forEach((code) => assert.ok(bundled.rates[code], code));
+console.log(`✓ bundled rate table ${bundled.version} (base ${bundled.base})`);
+
+console.log("\nAll currency conversion checks passed");
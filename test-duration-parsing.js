@@ -0,0 +1,42 @@
+// Offline check of programme duration parsing
+import assert from "assert";
+import { parseDuration } from "./src/utils/parseDuration.js";
+
+// [duration text, context, expected fields]
+const cases = [
+  [
+    "2 years Full-time, 4 years Part-time",
+    "",
+    { durationMonths: 24, partTimeDurationMonths: 48, isFullTime: true, isPartTime: true },
+  ],
+  ["18 months", "", { durationMonths: 18, partTimeDurationMonths: null, isFullTime: null, isPartTime: null }],
+  ["1½ years", "", { durationMonths: 18, partTimeDurationMonths: null, isFullTime: null, isPartTime: null }],
+  ["1 year 6 months", "", { durationMonths: 18, partTimeDurationMonths: null, isFullTime: null, isPartTime: null }],
+  ["4 semesters", "Full-time", { durationMonths: 24, partTimeDurationMonths: null, isFullTime: true, isPartTime: false }],
+];
+
+console.log("Testing duration parsing:\n");
+cases.forEach(([text, context, expected]) => {
+  const { error, ...fields } = parseDuration(text, context);
+  assert.strictEqual(error, null, text);
+  assert.deepStrictEqual(fields, expected, text);
+  console.log(`✓ "${text}"${context ? ` (${context})` : ""} -> ${fields.durationMonths} months`);
+});
+
+// Text without a duration is reported, not guessed
+const unknown = parseDuration("flexible");
+assert.strictEqual(unknown.durationMonths, null);
+assert.match(unknown.error, /Unrecognised duration/);
+console.log(`✓ "flexible" -> ${unknown.error}`);
+
+// Ranges keep the upper bound but are reported
+[["1 - 2 years", 24, /12-24 months/], ["6-12 months", 12, /6-12 months/]].forEach(
+  ([text, months, message]) => {
+    const range = parseDuration(text);
+    assert.strictEqual(range.durationMonths, months, text);
+    assert.match(range.error, message, text);
+    console.log(`✓ "${text}" -> ${range.error}`);
+  }
+);
+
+console.log("\nAll duration checks passed");
@@ -0,0 +1,72 @@
+// Offline check of tuition fee parsing
+import assert from "assert";
+import {
+  buildTuitionFeeFields,
+  parseFeeAmount,
+  parseFeeCurrency,
+  parseFeePeriod,
+  parseTuitionFee,
+} from "./src/utils/parseTuitionFee.js";
+
+// [amount text, expected number]
+const amounts = [
+  ["1.234,50", 1234.5],
+  ["1,234.50", 1234.5],
+  ["12,500", 12500],
+  ["12.500", 12500],
+  ["9 250", 9250],
+  ["950,5", 950.5],
+  ["", null],
+];
+
+console.log("Testing tuition fee parsing:\n");
+amounts.forEach(([text, expected]) => {
+  assert.strictEqual(parseFeeAmount(text), expected, text);
+  console.log(`✓ "${text}" -> ${expected}`);
+});
+
+[["GBP", "GBP"], ["£", "GBP"], ["eur", "EUR"], ["US$", "USD"], ["Rs", "PKR"]].forEach(
+  ([text, expected]) => {
+    assert.strictEqual(parseFeeCurrency(text), expected, text);
+    console.log(`✓ "${text}" -> ${expected}`);
+  }
+);
+
+// Words that look like a code but aren't a currency
+[["per year", null], ["TBA", null], ["per year EUR", "EUR"]].forEach(([text, expected]) => {
+  assert.strictEqual(parseFeeCurrency(text), expected, text);
+  console.log(`✓ "${text}" -> ${expected}`);
+});
+
+const unknown = buildTuitionFeeFields({
+  international: { amount: "9,000", currency: "per year", unit: "/ year" },
+});
+assert.strictEqual(unknown.tuitionFeeCurrency, null);
+assert.deepStrictEqual(
+  unknown.parseIssues.map((issue) => [issue.field, issue.value]),
+  [["tuitionFee", "per year"]]
+);
+console.log(`✓ unknown currency -> parse issue`);
+
+[["/ year", "year"], ["/ semester", "semester"], ["/ full programme", "full-programme"], ["/ credit", "credit"]].forEach(
+  ([text, expected]) => {
+    assert.strictEqual(parseFeePeriod(text), expected, text);
+    console.log(`✓ "${text}" -> ${expected}`);
+  }
+);
+
+// A full-programme fee is spread over the programme's years
+const fee = parseTuitionFee(
+  { amount: "24,000", currency: "EUR", unit: "/ full programme" },
+  "2 years"
+);
+assert.deepStrictEqual(fee, {
+  raw: "24,000 EUR / full programme",
+  amount: 24000,
+  currency: "EUR",
+  period: "full-programme",
+  annualAmount: 12000,
+});
+console.log(`✓ 24,000 EUR / full programme over 2 years -> ${fee.annualAmount} a year`);
+
+console.log("\nAll tuition fee checks passed");
@@ -0,0 +1,49 @@
+// Offline check of the order in which each frontier policy hands out URLs
+import assert from "assert";
+import { Frontier, FRONTIER_POLICIES } from "./src/utils/frontier.js";
+
+const BASE = "https://www.mastersportal.com";
+const searchPage = (n) => `${BASE}/search/master/germany?page=${n}`;
+const studyPage = (id) => `${BASE}/studies/${id}/x.html`;
+
+// Short names for the expected orders: p2 = search page 2, 21 = study 21
+const short = (url) =>
+  url.includes("/search/") ? `p${url.match(/page=(\d+)/)[1]}` : url.match(/studies\/(\d+)/)[1];
+
+/**
+ * Queue search page 2 and the studies of pages 1 and 2, as a crawl would
+ * after fetching both pages, then drain the frontier
+ */
+function drain(policy) {
+  const frontier = new Frontier([], { policy });
+  frontier.add(searchPage(3), { referrer: searchPage(2) });
+  [11, 12, 13].forEach((id) => frontier.add(studyPage(id), { referrer: searchPage(1) }));
+  [21, 22].forEach((id) => frontier.add(studyPage(id), { referrer: searchPage(2) }));
+
+  // Already queued or visited URLs are not queued again
+  assert.strictEqual(frontier.add(studyPage(11)), false);
+
+  const order = [];
+  for (let url = frontier.next(); url; url = frontier.next()) order.push(short(url));
+  assert.strictEqual(frontier.add(studyPage(11)), false);
+  return order.join(" ");
+}
+
+const expected = {
+  bfs: "p3 11 12 13 21 22",
+  dfs: "22 21 13 12 11 p3",
+  "study-first": "11 12 13 21 22 p3",
+  "round-robin": "11 21 12 22 13 p3",
+};
+
+console.log("Testing frontier policies:\n");
+FRONTIER_POLICIES.forEach((policy) => {
+  const order = drain(policy);
+  assert.strictEqual(order, expected[policy], policy);
+  console.log(`✓ ${policy.padEnd(12)}: ${order}`);
+});
+
+assert.throws(() => new Frontier([], { policy: "random" }), /Unknown frontier policy/);
+console.log("✓ unknown policies are rejected");
+
+console.log("\nAll frontier checks passed");
@@ -0,0 +1,53 @@
+// Offline check of start date and deadline parsing
+import assert from "assert";
+import { parseIntakeDate, parseIntakes } from "./src/utils/parseIntakes.js";
+
+// [text, <time datetime>, expected { date, month, precision }]
+const dates = [
+  ["September 2026", null, { date: null, month: "2026-09", precision: "month" }],
+  ["15 Jun 2026", null, { date: "2026-06-15", month: "2026-06", precision: "day" }],
+  ["Sep 1, 2026", null, { date: "2026-09-01", month: "2026-09", precision: "day" }],
+  ["Starts in autumn", "2026-09-01", { date: "2026-09-01", month: "2026-09", precision: "day" }],
+  ["October", null, { date: null, month: null, precision: "month-of-year" }],
+];
+
+console.log("Testing intake parsing:\n");
+dates.forEach(([text, datetime, expected]) => {
+  const { date, month, precision } = parseIntakeDate(text, datetime);
+  assert.deepStrictEqual({ date, month, precision }, expected, text);
+  console.log(`✓ "${text}"${datetime ? ` [${datetime}]` : ""} -> ${date || month || precision}`);
+});
+
+assert.strictEqual(parseIntakeDate("soon"), null);
+console.log(`✓ "soon" -> null`);
+
+// Deadlines are matched to the next intake, per audience
+const { intakeDates, parseIssues } = parseIntakes(
+  [{ text: "Sep 2026" }, { text: "Feb 2027" }],
+  ["International: 15 May 2026", "EU: 1 July 2026"]
+);
+assert.deepStrictEqual(parseIssues, []);
+assert.deepStrictEqual(
+  intakeDates.map((intake) => [intake.month, intake.deadlines.international?.date, intake.deadlines.eu?.date]),
+  [
+    ["2026-09", "2026-05-15", "2026-07-01"],
+    ["2027-02", undefined, undefined],
+  ]
+);
+console.log("✓ international and EU deadlines -> Sep 2026 intake");
+
+// "may" in a sentence is not a month; the line is reported instead
+const sentence = parseIntakes(
+  [{ text: "Sep 2026" }],
+  ["Apply anytime, we may accept late applications"]
+);
+assert.deepStrictEqual(sentence.intakeDates[0].deadlines, {});
+assert.deepStrictEqual(
+  sentence.parseIssues.map((issue) => issue.field),
+  ["deadlines"]
+);
+assert.strictEqual(parseIntakeDate("we may accept late"), null);
+assert.strictEqual(parseIntakeDate("may 2026").month, "2026-05");
+console.log('✓ "we may accept late" -> no deadline, parse issue');
+
+console.log("\nAll intake checks passed");
@@ -0,0 +1,82 @@
+// Offline check of search ranking entries and history
+import assert from "assert";
+import {
+  buildRankingHistory,
+  toRankingEntries,
+} from "./src/utils/rankingHistory.js";
+
+const run = { portalType: "masters", countryLabel: "germany" };
+
+// Listings as SearchPageExtractor returns them (CSV rows carry strings)
+const listing = (studyId, university, searchPage, position, featured = false) => ({
+  studyId,
+  title: `Programme ${studyId}`,
+  university,
+  searchPage,
+  position,
+  featured,
+});
+
+console.log("Testing ranking history:\n");
+
+// Page size comes from the fullest page (3); page 2 was not crawled, so
+// page 3 starts at rank 7 instead of shifting up
+const first = toRankingEntries(
+  [
+    listing("12", "TU Berlin", 3, 1),
+    listing("10", "TU Munich", 1, 2, "true"),
+    listing("11", "TU Berlin", 1, 3),
+    listing("13", "LMU", 1, 1),
+  ],
+  { ...run, runAt: "2026-01-01T00:00:00.000Z" }
+);
+assert.deepStrictEqual(
+  first.map((entry) => [entry.studyId, entry.rank]),
+  [
+    ["13", 1],
+    ["10", 2],
+    ["11", 3],
+    ["12", 7],
+  ]
+);
+assert.strictEqual(first[1].featured, true);
+assert.strictEqual(first[0].country, "germany");
+console.log("✓ ranks across result pages, gaps kept for pages not crawled");
+
+const second = toRankingEntries(
+  [listing("11", "TU Berlin", 1, 1), listing("10", "TU Munich", 1, 2), listing("13", "LMU", 1, 3)],
+  { ...run, runAt: "2026-01-08T00:00:00.000Z" }
+);
+
+const byUniversity = buildRankingHistory([...second, ...first]);
+assert.deepStrictEqual(
+  byUniversity.map((group) => [group.key, group.runs.length, group.change]),
+  [
+    ["TU Berlin", 2, 2],
+    ["TU Munich", 2, 0],
+    ["LMU", 2, -2],
+  ]
+);
+const berlin = byUniversity[0].runs;
+assert.deepStrictEqual(
+  berlin.map(({ runAt, programmes, bestRank, averageRank, firstPage }) => [
+    runAt.slice(0, 10),
+    programmes,
+    bestRank,
+    averageRank,
+    firstPage,
+  ]),
+  [
+    ["2026-01-01", 2, 3, 5, 1],
+    ["2026-01-08", 1, 1, 1, 1],
+  ]
+);
+console.log("✓ per university: runs oldest first, best rank change");
+
+const byProgramme = buildRankingHistory(first, "programme");
+assert.strictEqual(byProgramme.length, 4);
+assert.strictEqual(byProgramme[0].label, "Programme 13 — LMU");
+assert.strictEqual(byProgramme[0].change, null);
+console.log("✓ per programme: single run has no change");
+
+console.log("\nAll ranking history checks passed");
@@ -0,0 +1,59 @@
+// Offline check of search filter parameters
+import assert from "assert";
+import {
+  buildFilteredSearchUrl,
+  matchesSearchParams,
+  toSearchParams,
+} from "./src/utils/searchFilters.js";
+
+const searchUrl = "https://www.mastersportal.com/search/master/germany";
+
+console.log("Testing search filters:\n");
+
+const params = toSearchParams({
+  discipline: "computer-science",
+  studyMode: "online",
+  tuition: { max: 10000 },
+  duration: { min: 12, max: 24 },
+  language: ["english", "german"],
+  degreeType: "",
+  tuitionCurrency: null,
+});
+assert.deepStrictEqual(params, {
+  di: "computer-science",
+  mh: "online",
+  tr: "-10000",
+  dur: "12-24",
+  lng: "english,german",
+});
+console.log("✓ filters -> query parameters (ranges, lists, empty values skipped)");
+
+assert.deepStrictEqual(toSearchParams(null), {});
+assert.deepStrictEqual(toSearchParams({ studyMode: "online" }, { studyMode: "mode" }), {
+  mode: "online",
+});
+assert.throws(() => toSearchParams({ campus: "berlin" }), /Unknown search filter "campus"/);
+console.log("✓ no filters, portal parameter names, unknown filter rejected");
+
+const filteredUrl = buildFilteredSearchUrl(searchUrl, params);
+assert.ok(matchesSearchParams(filteredUrl, params));
+assert.ok(matchesSearchParams(`${filteredUrl}&page=2&ref=search`, params));
+console.log("✓ filtered URL and its pagination match");
+
+// [URL, expected] against the filtered search
+[
+  [`${searchUrl}?page=2`, false],
+  [`${searchUrl}?di=computer-science&mh=blended&tr=-10000&dur=12-24&lng=english,german`, false],
+  [`${filteredUrl}&sort=price`, false],
+  ["not a url", false],
+].forEach(([url, expected]) => {
+  assert.strictEqual(matchesSearchParams(url, params), expected, url);
+  console.log(`✓ ${url.replace(searchUrl, "")} -> ${expected}`);
+});
+
+// Without filters only pagination is allowed
+assert.ok(matchesSearchParams(`${searchUrl}?page=3`));
+assert.ok(!matchesSearchParams(`${searchUrl}?mh=online`));
+console.log("✓ unfiltered search: pagination only");
+
+console.log("\nAll search filter checks passed");
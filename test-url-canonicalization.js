@@ -0,0 +1,33 @@
+// Offline check of URL canonicalization and study-ID dedupe
+import assert from "assert";
+import { canonicalizeUrl, getUrlKey } from "./src/utils/canonicalizeUrl.js";
+
+const BASE = "https://www.mastersportal.com";
+const PAGE = `${BASE}/search/master/germany/sub/page.html`;
+
+// [link, page it was found on, expected canonical URL]
+const cases = [
+  ["../x", PAGE, `${BASE}/search/master/germany/x`],
+  ["//www.mastersportal.com/studies/2/", PAGE, `${BASE}/studies/2/`],
+  ["/studies/1/a.html?ref=a#reviews", PAGE, `${BASE}/studies/1/a.html`],
+  ["?b=2&a=1&utm_source=x&gclid=y", `${BASE}/search/master/germany`, `${BASE}/search/master/germany?a=1&b=2`],
+  ["mailto:info@example.com", PAGE, null],
+  ["javascript:void(0)", PAGE, null],
+];
+
+console.log("Testing URL canonicalization:\n");
+cases.forEach(([href, pageUrl, expected]) => {
+  const url = canonicalizeUrl(href, pageUrl);
+  assert.strictEqual(url, expected, `${href} on ${pageUrl}`);
+  console.log(`✓ ${href}\n  -> ${url}`);
+});
+
+// The same study behind different tracking parameters or slugs is one URL
+const a = canonicalizeUrl("/studies/123/x.html?ref=a", PAGE);
+const b = canonicalizeUrl("/studies/123/x.html?ref=b", PAGE);
+assert.strictEqual(a, b);
+assert.strictEqual(getUrlKey(a), getUrlKey(`${BASE}/studies/123/renamed.html`));
+assert.notStrictEqual(getUrlKey(a), getUrlKey(`${BASE}/studies/124/x.html`));
+console.log(`✓ ?ref=a and ?ref=b -> ${getUrlKey(a)}`);
+
+console.log("\nAll URL canonicalization checks passed");